@@ -1,97 +1,172 @@
-import React, { useState, useMemo, useEffect } from 'react';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
+import { flushSync } from 'react-dom';
+import {
+  TAX_YEAR_RULES, DEFAULT_TAX_YEAR, RESIDENCIES, DEFAULT_RESIDENCY, getTaxRules, DEFAULT_SALARY, calculateScenario, findOptimalSalary,
+  findTurnoverForNet, planYears, buildSensitivityGrid, BANK_HOLIDAY_REGIONS, countWorkingDays, calculateContracts, VAT_SCHEMES,
+  FLAT_RATE_SECTORS, EXPENSE_CATEGORIES, EXPENSE_FREQUENCIES, calculateExpenses,
+  projectPension, calculateDrawdown, MAX_SIMULATIONS, simulatePension, checkPensionAllowance, buildStrategies, calculateUmbrella, calculateDeemedPayment, findPermEquivalentSalary,
+  findDayRateForPermSalary, formatCurrency, formatPercentage
+} from './engine';
+import { PensionAreaChart, WaterfallChart, PensionSweepChart } from './Charts';
+import ProfileSwitcher from './ProfileSwitcher';
+import { createProfile, getActiveProfile, loadProfileStore, saveProfileStore, updateProfileState } from './profiles';
+import { TABS } from './inputSchema';
+import { decodeLinkState, encodeLinkState } from './shareLink';
+import { buildCsvFiles, buildExportDocument, parseExportDocument } from './dataFiles';
 
 // --- CONSTANTS ---
-const SALARY = 12570;
-const BASIC_RATE = 50270;
-const DIV_ALLOWANCE = 500;
-const TOTAL_DAYS = 253; // 261 working days - 8 bank holidays
-const EMPLOYER_NI_THRESHOLD = 5000;
-const EMPLOYER_NI_RATE = 0.15;
-
-// --- CALCULATION LOGIC ---
-const getDividendRates = (taxYear) =>
-  taxYear === '2026' ? { basic: 0.1075, higher: 0.3575 } : { basic: 0.0875, higher: 0.3375 };
-
-const formatCurrency = (v) =>
-  isFinite(v) ? '£' + Math.round(v).toLocaleString('en-GB') : '–';
-
-const formatPercentage = (v) =>
-  isFinite(v) ? (v * 100).toFixed(1) + '%' : '–';
-
-const calculateEmployerNI = (salary) => {
-  if (salary <= EMPLOYER_NI_THRESHOLD) return 0;
-  return (salary - EMPLOYER_NI_THRESHOLD) * EMPLOYER_NI_RATE;
-};
+const PENSION_SWEEP_STEPS = 12;
+const SENSITIVITY_ROWS = 9;
+const SENSITIVITY_COLUMNS = 9;
+const DEFAULT_SENSITIVITY_PENSION = 4000; // £ per month at the right-hand column
+const DEFAULT_UMBRELLA_MARGIN = 20; // £ per week
+const SIMULATION_DELAY_MS = 300; // Pause in typing before the Monte Carlo simulation reruns
 
-const calculateCorporationTax = (profit) => {
-  if (profit <= 0) return 0;
-  const LOWER_LIMIT = 50000;
-  const UPPER_LIMIT = 250000;
-  const SMALL_RATE = 0.19;
-  const MAIN_RATE = 0.25;
-  const MR_FRACTION = 3 / 200;
+// Blank fields in a comparison scenario fall back to Your Input
+const DEFAULT_COMPARISON_SCENARIOS = [
+  { id: 1, name: 'No Pension', pension: '0', expenses: '', salary: '', dailyRate: '', holidays: '' },
+  { id: 2, name: '£1.5k / mo', pension: '18000', expenses: '', salary: '', dailyRate: '', holidays: '' },
+  { id: 3, name: '£1.75k / mo', pension: '21000', expenses: '', salary: '', dailyRate: '', holidays: '' },
+  { id: 4, name: '£2.0k / mo', pension: '24000', expenses: '', salary: '', dailyRate: '', holidays: '' }
+];
 
-  if (profit <= LOWER_LIMIT) return profit * SMALL_RATE;
-  if (profit >= UPPER_LIMIT) return profit * MAIN_RATE;
-  
-  const ctAtMainRate = profit * MAIN_RATE;
-  const marginalRelief = MR_FRACTION * (UPPER_LIMIT - profit);
-  return ctAtMainRate - marginalRelief;
+// `value` once it has stopped changing for `delay` ms
+const useDebouncedValue = (value, delay) => {
+  const [debounced, setDebounced] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+  return debounced;
 };
 
-const calculateScenario = (turnover, annualPension, yearlyExpenses, taxYear) => {
-  const employerNI = calculateEmployerNI(SALARY);
-  const profit = turnover - SALARY - employerNI - annualPension - yearlyExpenses;
-  const ct = profit > 0 ? calculateCorporationTax(profit) : 0;
-  const afterCt = profit - ct;
-
-  const { basic: BASIC_DIV, higher: HIGHER_DIV } = getDividendRates(taxYear);
-  const basicDiv = Math.min(afterCt, Math.max(0, BASIC_RATE - SALARY));
-  const basicTaxable = Math.max(0, basicDiv - DIV_ALLOWANCE);
-  const basicTax = basicTaxable * BASIC_DIV;
-  const higherDiv = afterCt - basicDiv;
-  const higherTax = higherDiv * HIGHER_DIV;
-  const totalDivTax = basicTax + higherTax;
-  const netDiv = afterCt - totalDivTax;
-
-  const annualNet = SALARY + netDiv;
-  const monthlyNet = annualNet / 12;
-  const totalValue = annualNet + annualPension;
-  const totalTax = ct + employerNI + totalDivTax;
-  const effectiveTaxRate = turnover > 0 ? totalTax / turnover : 0;
-  const ctRate = profit > 0 ? ct / profit : 0;
-
-  // Determine Marginal Rate for Optimisation Calcs
-  let marginalRate = 0.19;
-  if (profit > 50000 && profit < 250000) marginalRate = 0.265;
-  if (profit >= 250000) marginalRate = 0.25;
-
-  return {
-    turnover, pension: annualPension, employerNI, yearlyExpenses, profit, ct, afterCt,
-    basicDiv, basicTax, higherDiv, higherTax, totalDivTax, netDiv, annualNet, monthlyNet,
-    totalValue, totalTax, effectiveTaxRate, ctRate, marginalRate, BASIC_DIV, HIGHER_DIV
-  };
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
 };
 
-export default function App() {
+// Calculator for one profile. `saved` seeds the inputs on mount; `App` remounts it when the profile changes.
+function Calculator({ saved, onStateChange, onImport, profileSwitcher, ignoredLinkFields = [] }) {
   // --- STATE ---
-  const [theme, setTheme] = useState('light'); // 'light' | 'dark'
-  const [incomeMode, setIncomeMode] = useState('dayRate'); 
-  const [taxYear, setTaxYear] = useState('2025');
-  const [activeTab, setActiveTab] = useState('comparison');
+  const [theme, setTheme] = useState(saved.theme ?? 'light'); // 'light' | 'dark'
+  const [incomeMode, setIncomeMode] = useState(saved.incomeMode ?? 'dayRate'); 
+  const [taxYear, setTaxYear] = useState(saved.taxYear ?? DEFAULT_TAX_YEAR);
+  const [residency, setResidency] = useState(saved.residency ?? DEFAULT_RESIDENCY);
+  const [activeTab, setActiveTab] = useState(saved.activeTab ?? 'comparison');
+  const [linkStatus, setLinkStatus] = useState(''); // Feedback after Copy Link
+  const [importErrors, setImportErrors] = useState([]);
+  const [printing, setPrinting] = useState(false); // The report prints the Detailed Breakdown whatever tab is open
 
   // Inputs
-  const [dailyRate, setDailyRate] = useState('');
-  const [holidays, setHolidays] = useState('');
-  const [monthlyPension, setMonthlyPension] = useState('');
-  const [yearlyExpenses, setYearlyExpenses] = useState('');
-  const [annualTurnover, setAnnualTurnover] = useState('');
-  const [annualPension, setAnnualPension] = useState('');
+  const [dailyRate, setDailyRate] = useState(saved.dailyRate ?? '');
+  const [holidays, setHolidays] = useState(saved.holidays ?? '');
+  const [daysPerWeek, setDaysPerWeek] = useState(saved.daysPerWeek ?? '');
+  const [contractStart, setContractStart] = useState(saved.contractStart ?? ''); // ISO dates; blank = whole tax year
+  const [contractEnd, setContractEnd] = useState(saved.contractEnd ?? '');
+  const [bankHolidayRegion, setBankHolidayRegion] = useState(saved.bankHolidayRegion ?? ''); // Blank follows residency
+  const [leaveDates, setLeaveDates] = useState(saved.leaveDates ?? []);
+  const [leaveDraft, setLeaveDraft] = useState('');
+  const [contracts, setContracts] = useState(saved.contracts ?? []); // [{ id, client, dailyRate, start, end, daysPerWeek, holidays }]
+  const [monthlyPension, setMonthlyPension] = useState(saved.monthlyPension ?? '');
+  const [expenseItems, setExpenseItems] = useState(saved.expenseItems ?? []); // [{ id, description, category, frequency, amount, strategy }]
+  const [annualTurnover, setAnnualTurnover] = useState(saved.annualTurnover ?? '');
+  const [annualPension, setAnnualPension] = useState(saved.annualPension ?? '');
+  const [salary, setSalary] = useState(saved.salary ?? '');
+  const [vatScheme, setVatScheme] = useState(saved.vatScheme ?? 'none');
+  const [flatRateSector, setFlatRateSector] = useState(saved.flatRateSector ?? 'itConsultancy');
+  const [flatRateFirstYear, setFlatRateFirstYear] = useState(saved.flatRateFirstYear ?? 'no');
+  const [targetMonthlyNet, setTargetMonthlyNet] = useState(saved.targetMonthlyNet ?? '');
+  const [targetAnnualNet, setTargetAnnualNet] = useState(saved.targetAnnualNet ?? '');
 
   // Pension Projection Inputs
-  const [pensionStartBalance, setPensionStartBalance] = useState('');
-  const [currentAge, setCurrentAge] = useState('');
-  const [pensionGrowth, setPensionGrowth] = useState('');
+  const [pensionStartBalance, setPensionStartBalance] = useState(saved.pensionStartBalance ?? '');
+  const [currentAge, setCurrentAge] = useState(saved.currentAge ?? '');
+  const [pensionGrowth, setPensionGrowth] = useState(saved.pensionGrowth ?? '');
+  const [retirementAge, setRetirementAge] = useState(saved.retirementAge ?? '');
+  const [contributionEscalation, setContributionEscalation] = useState(saved.contributionEscalation ?? '');
+  const [platformFee, setPlatformFee] = useState(saved.platformFee ?? '');
+  const [fundFee, setFundFee] = useState(saved.fundFee ?? '');
+  const [inflationRate, setInflationRate] = useState(saved.inflationRate ?? '');
+  const [pensionMilestones, setPensionMilestones] = useState(saved.pensionMilestones ?? '1000000'); // Comma-separated pot values
+  const [withdrawalRate, setWithdrawalRate] = useState(saved.withdrawalRate ?? '');
+  const [retirementIncome, setRetirementIncome] = useState(saved.retirementIncome ?? ''); // Other taxable income, e.g. state pension
+  const [projectionMode, setProjectionMode] = useState(saved.projectionMode ?? 'fixed'); // 'fixed' | 'simulation'
+  const [volatility, setVolatility] = useState(saved.volatility ?? '');
+  const [simulationCount, setSimulationCount] = useState(saved.simulationCount ?? '');
+  const [simulationSeed, setSimulationSeed] = useState(saved.simulationSeed ?? '');
+  const [targetPot, setTargetPot] = useState(saved.targetPot ?? '');
+  const [priorPensions, setPriorPensions] = useState(saved.priorPensions ?? ['', '', '']); // Last three tax years, oldest first
+
+  // Sensitivity Grid Inputs
+  const [sensitivityMetric, setSensitivityMetric] = useState(saved.sensitivityMetric ?? 'monthlyNet'); // 'monthlyNet' | 'totalValue'
+  const [sensitivityFrom, setSensitivityFrom] = useState(saved.sensitivityFrom ?? '');
+  const [sensitivityTo, setSensitivityTo] = useState(saved.sensitivityTo ?? '');
+  const [sensitivityPensionTo, setSensitivityPensionTo] = useState(saved.sensitivityPensionTo ?? '');
+
+  // Multi-Year Plan Inputs
+  const [planRows, setPlanRows] = useState(saved.planRows ?? []); // [{ id, turnover, expenses, pension, dividend }]
+
+  // IR35 Inputs
+  const [umbrellaMargin, setUmbrellaMargin] = useState(saved.umbrellaMargin ?? '');
+
+  // Optimise Inputs
+  const [strategyParams, setStrategyParams] = useState(saved.strategyParams ?? {}); // { '<strategy>.<param>': '650' }
+
+  // Perm Equivalent Inputs
+  const [permPensionRate, setPermPensionRate] = useState(saved.permPensionRate ?? '');
+  const [permBenefits, setPermBenefits] = useState(saved.permBenefits ?? '');
+  const [permMatch, setPermMatch] = useState(saved.permMatch ?? 'annualNet'); // 'annualNet' | 'totalValue'
+  const [permOffer, setPermOffer] = useState(saved.permOffer ?? '');
+
+  // Comparison Scenarios
+  const [comparisonScenarios, setComparisonScenarios] = useState(saved.comparisonScenarios ?? DEFAULT_COMPARISON_SCENARIOS);
+  const [editingScenarioId, setEditingScenarioId] = useState(null);
+
+  // The inputs above are saved to the active profile
+  const savedStateJson = JSON.stringify({
+    theme, incomeMode, taxYear, residency, dailyRate, holidays, daysPerWeek, contractStart, contractEnd,
+    bankHolidayRegion, leaveDates, contracts, monthlyPension,
+    expenseItems, annualTurnover, annualPension, salary, vatScheme, flatRateSector, flatRateFirstYear, targetMonthlyNet, targetAnnualNet,
+    pensionStartBalance, currentAge, pensionGrowth, retirementAge, contributionEscalation, platformFee,
+    fundFee, inflationRate, pensionMilestones, withdrawalRate, retirementIncome, projectionMode,
+    volatility, simulationCount, simulationSeed, targetPot, priorPensions, sensitivityMetric,
+    sensitivityFrom, sensitivityTo, sensitivityPensionTo, planRows, umbrellaMargin, permPensionRate,
+    permBenefits, permMatch, permOffer, strategyParams, comparisonScenarios
+  });
+  useEffect(() => {
+    onStateChange(JSON.parse(savedStateJson));
+  }, [savedStateJson, onStateChange]);
+
+  const copyLink = async () => {
+    const query = encodeLinkState({ ...JSON.parse(savedStateJson), activeTab });
+    const link = `${window.location.origin}${window.location.pathname}${query ? `?${query}` : ''}`;
+    try {
+      await navigator.clipboard.writeText(link);
+      setLinkStatus('Copied!');
+    } catch {
+      // No clipboard access (older browser or insecure origin): show the link to copy by hand
+      setLinkStatus(link);
+    }
+  };
+
+  // --- PRINT REPORT ---
+  // Covers the browser's own Print command as well as the Print Report button; flushSync renders the
+  // breakdown before the browser lays out the page
+  useEffect(() => {
+    const beforePrint = () => flushSync(() => setPrinting(true));
+    const afterPrint = () => setPrinting(false);
+    window.addEventListener('beforeprint', beforePrint);
+    window.addEventListener('afterprint', afterPrint);
+    return () => {
+      window.removeEventListener('beforeprint', beforePrint);
+      window.removeEventListener('afterprint', afterPrint);
+    };
+  }, []);
+  const visibleTab = printing ? 'breakdown' : activeTab;
 
   // --- THEME EFFECT ---
   useEffect(() => {
@@ -104,148 +179,369 @@ export default function App() {
 
   // --- COMPUTED ---
   const isDayRate = incomeMode === 'dayRate';
-  const workingDays = isDayRate ? Math.max(0, TOTAL_DAYS - (parseFloat(holidays) || 0)) : 0;
+  const isTargetNet = incomeMode === 'targetNet';
+  const isContracts = incomeMode === 'contracts';
+  // Day rate, target net and contracts all bill by the day and take pension monthly
+  const isDaily = isDayRate || isTargetNet || isContracts;
+
+  // --- WORKING DAYS ---
+  const holidayRegion = bankHolidayRegion || (residency === 'scotland' ? 'scotland' : 'englandWales');
+  const calendar = useMemo(() => countWorkingDays(taxYear, {
+    region: holidayRegion,
+    daysPerWeek: daysPerWeek === '' ? 5 : parseFloat(daysPerWeek) || 0,
+    contractStart,
+    contractEnd,
+    leaveDates
+  }), [taxYear, holidayRegion, daysPerWeek, contractStart, contractEnd, leaveDates]);
+  // Each contract counts its own days; blank days per week means full time
+  const contractSummary = useMemo(() => calculateContracts(contracts.map(contract => ({
+    ...contract,
+    dailyRate: parseFloat(contract.dailyRate) || 0,
+    daysPerWeek: contract.daysPerWeek === '' ? 5 : parseFloat(contract.daysPerWeek) || 0,
+    holidays: parseFloat(contract.holidays) || 0
+  })), taxYear, { region: holidayRegion, leaveDates }), [contracts, taxYear, holidayRegion, leaveDates]);
+  // Personal holidays are a plain count on top of any booked leave dates
+  const contractDays = isContracts ? contractSummary.totalDays : Math.max(0, calendar.workingDays - (parseFloat(holidays) || 0));
+  const workingDays = isDaily ? contractDays : 0;
+
+  const addLeaveDate = () => {
+    if (leaveDraft && !leaveDates.includes(leaveDraft)) setLeaveDates(prev => [...prev, leaveDraft].sort());
+    setLeaveDraft('');
+  };
+
+  const addContract = () => {
+    setContracts(prev => [...prev, {
+      id: prev.reduce((max, contract) => Math.max(max, contract.id), 0) + 1,
+      client: '', dailyRate: dailyRate, start: '', end: '', daysPerWeek: '', holidays: ''
+    }]);
+  };
+
+  const updateContract = (id, field, value) => {
+    setContracts(prev => prev.map(contract => contract.id === id ? { ...contract, [field]: value } : contract));
+  };
+
+  const directorSalary = salary === '' ? DEFAULT_SALARY : Math.max(0, parseFloat(salary) || 0);
+  const expenseLedger = useMemo(
+    () => calculateExpenses(expenseItems.map(item => ({ ...item, amount: parseFloat(item.amount) || 0 })), taxYear),
+    [expenseItems, taxYear]
+  );
+  const yearlyExpenses = expenseLedger.total;
+
+  const addExpense = () => {
+    setExpenseItems(prev => [...prev, {
+      id: prev.reduce((max, item) => Math.max(max, item.id), 0) + 1,
+      description: '', category: 'software', frequency: 'annual', amount: '', strategy: ''
+    }]);
+  };
+
+  const updateExpense = (id, field, value) => {
+    setExpenseItems(prev => prev.map(item => item.id === id ? { ...item, [field]: value } : item));
+  };
+  const vat = useMemo(
+    () => ({ scheme: vatScheme, sector: flatRateSector, firstYear: flatRateFirstYear === 'yes' }),
+    [vatScheme, flatRateSector, flatRateFirstYear]
+  );
+
+  const currentAnnualPension = useMemo(() => {
+    if (isDaily) return (parseFloat(monthlyPension) || 0) * 12;
+    return parseFloat(annualPension) || 0;
+  }, [isDaily, monthlyPension, annualPension]);
+
+  const targetSolution = useMemo(() => {
+    const target = parseFloat(targetAnnualNet) || 0;
+    if (!isTargetNet || target <= 0) return null;
+    return findTurnoverForNet(target, currentAnnualPension, yearlyExpenses, taxYear, { salary: directorSalary, residency, vat });
+  }, [isTargetNet, targetAnnualNet, currentAnnualPension, yearlyExpenses, taxYear, directorSalary, residency, vat]);
 
   const currentTurnover = useMemo(() => {
     if (isDayRate) return (parseFloat(dailyRate) || 0) * workingDays;
+    if (isTargetNet) return targetSolution ? targetSolution.turnover : 0;
+    if (isContracts) return contractSummary.turnover;
     return parseFloat(annualTurnover) || 0;
-  }, [isDayRate, dailyRate, workingDays, annualTurnover]);
+  }, [isDayRate, isTargetNet, isContracts, dailyRate, workingDays, targetSolution, contractSummary, annualTurnover]);
 
-  const currentAnnualPension = useMemo(() => {
-    if (isDayRate) return (parseFloat(monthlyPension) || 0) * 12;
-    return parseFloat(annualPension) || 0;
-  }, [isDayRate, monthlyPension, annualPension]);
+  const requiredDayRate = isTargetNet && workingDays > 0 ? currentTurnover / workingDays : 0;
 
   useEffect(() => {
-    if (isDayRate) {
-      if (dailyRate) setAnnualTurnover((parseFloat(dailyRate) || 0) * workingDays);
+    if (isDaily) {
+      if (isDayRate && dailyRate) setAnnualTurnover((parseFloat(dailyRate) || 0) * workingDays);
+      if (isContracts && contracts.length > 0) setAnnualTurnover(contractSummary.turnover);
       if (monthlyPension) setAnnualPension((parseFloat(monthlyPension) || 0) * 12);
     } else {
       if (annualPension) setMonthlyPension(Math.round((parseFloat(annualPension) || 0) / 12));
     }
-  }, [isDayRate, dailyRate, workingDays, monthlyPension, annualPension]);
+  }, [isDaily, isDayRate, isContracts, dailyRate, workingDays, contracts, contractSummary, monthlyPension, annualPension]);
+
+  const updateTargetNet = (value, period) => {
+    const amount = parseFloat(value) || 0;
+    if (period === 'monthly') {
+      setTargetMonthlyNet(value);
+      setTargetAnnualNet(value === '' ? '' : String(amount * 12));
+    } else {
+      setTargetAnnualNet(value);
+      setTargetMonthlyNet(value === '' ? '' : String(Math.round(amount / 12)));
+    }
+  };
+
+  const custom = useMemo(
+    () => calculateScenario(currentTurnover, currentAnnualPension, yearlyExpenses, taxYear, directorSalary, residency, vat),
+    [currentTurnover, currentAnnualPension, yearlyExpenses, taxYear, directorSalary, residency, vat]
+  );
+
+  // --- COMPARISON SCENARIOS ---
+  // Day rate and holidays only apply when billing by the day; otherwise the scenario keeps your turnover.
+  // With contracts, holidays are already taken off each contract so a scenario's holidays come off the total.
+  const comparisonResults = useMemo(() => comparisonScenarios.map(scenario => {
+    const override = (value, fallback) => value === '' ? fallback : parseFloat(value) || 0;
+    const availableDays = isContracts ? contractSummary.totalDays : calendar.workingDays;
+    const currentHolidays = isContracts ? 0 : parseFloat(holidays) || 0;
+    const turnover = isDaily
+      ? override(scenario.dailyRate, currentTurnover / (workingDays || 1)) * Math.max(0, availableDays - override(scenario.holidays, currentHolidays))
+      : currentTurnover;
+    const result = calculateScenario(
+      turnover,
+      override(scenario.pension, currentAnnualPension),
+      override(scenario.expenses, yearlyExpenses),
+      taxYear,
+      Math.max(0, override(scenario.salary, directorSalary)),
+      residency,
+      vat
+    );
+    return { scenario, result, delta: result.annualNet - custom.annualNet };
+  }), [comparisonScenarios, isDaily, isContracts, contractSummary, currentTurnover, workingDays, calendar, holidays, currentAnnualPension, yearlyExpenses, taxYear, directorSalary, residency, vat, custom]);
+
+  const addComparisonScenario = () => {
+    const id = comparisonScenarios.reduce((max, s) => Math.max(max, s.id), 0) + 1;
+    setComparisonScenarios(prev => [...prev, { id, name: `Scenario ${id}`, pension: '', expenses: '', salary: '', dailyRate: '', holidays: '' }]);
+    setEditingScenarioId(id);
+  };
+
+  const updateComparisonScenario = (id, field, value) => {
+    setComparisonScenarios(prev => prev.map(s => s.id === id ? { ...s, [field]: value } : s));
+  };
+
+  const deleteComparisonScenario = (id) => {
+    setComparisonScenarios(prev => prev.filter(s => s.id !== id));
+    if (editingScenarioId === id) setEditingScenarioId(null);
+  };
+
+  // --- IMPORT / EXPORT ---
+  const exportDocument = () => buildExportDocument({
+    inputs: JSON.parse(savedStateJson), result: custom, scenarios: comparisonResults, projection: projectionData
+  });
+
+  const exportJson = () => {
+    downloadFile('contractor-tax-calculator.json', JSON.stringify(exportDocument(), null, 2), 'application/json');
+  };
+
+  const exportCsv = () => {
+    buildCsvFiles(exportDocument()).forEach(({ filename, content }) => downloadFile(filename, content, 'text/csv'));
+  };
 
-  const scenarios = useMemo(() => {
-    const expenses = parseFloat(yearlyExpenses) || 0;
+  const importJson = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Lets the same file be picked again after fixing it
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => {
+      const { inputs, errors } = parseExportDocument(reader.result);
+      setImportErrors(errors.length > 0 ? [`Couldn't import ${file.name}:`, ...errors] : []);
+      if (inputs) onImport(inputs, file.name.replace(/\.json$/i, ''));
+    };
+    reader.onerror = () => setImportErrors([`Couldn't read ${file.name}.`]);
+    reader.readAsText(file);
+  };
+
+  // Contribution schedule shared by the fixed-growth projection and the simulation
+  const pensionSchedule = useMemo(() => ({
+    startBalance: parseFloat(pensionStartBalance) || 0,
+    annualContribution: currentAnnualPension,
+    currentAge: parseFloat(currentAge) || 0,
+    retirementAge: parseFloat(retirementAge) || undefined,
+    contributionEscalation: (parseFloat(contributionEscalation) || 0) / 100,
+    feeRate: ((parseFloat(platformFee) || 0) + (parseFloat(fundFee) || 0)) / 100
+  }), [pensionStartBalance, currentAnnualPension, currentAge, retirementAge, contributionEscalation, platformFee, fundFee]);
+
+  const projectionData = useMemo(() => projectPension({
+    ...pensionSchedule,
+    growthRate: (parseFloat(pensionGrowth) || 0) / 100,
+    inflationRate: (parseFloat(inflationRate) || 0) / 100,
+    milestones: pensionMilestones.split(',').map(v => parseFloat(v)).filter(v => v > 0)
+  }), [pensionSchedule, pensionGrowth, inflationRate, pensionMilestones]);
+
+  // The simulation runs on the main thread, so it waits for a pause in typing and is capped at MAX_SIMULATIONS paths
+  const simulationInputs = useMemo(() => projectionMode === 'simulation' ? {
+    ...pensionSchedule,
+    meanReturn: (parseFloat(pensionGrowth) || 0) / 100,
+    volatility: (volatility === '' ? 15 : parseFloat(volatility) || 0) / 100,
+    simulations: Math.min(MAX_SIMULATIONS, Math.max(1, Math.round(parseFloat(simulationCount) || MAX_SIMULATIONS))),
+    seed: Math.round(parseFloat(simulationSeed) || 1),
+    targetPot: parseFloat(targetPot) || 0
+  } : null, [projectionMode, pensionSchedule, pensionGrowth, volatility, simulationCount, simulationSeed, targetPot]);
+  const debouncedSimulationInputs = useDebouncedValue(simulationInputs, SIMULATION_DELAY_MS);
+  const simulation = useMemo(
+    () => debouncedSimulationInputs && simulatePension(debouncedSimulationInputs),
+    [debouncedSimulationInputs]
+  );
+
+  const drawdown = useMemo(() => {
+    const finalYear = projectionData[projectionData.length - 1];
+    const pot = finalYear ? finalYear.end : parseFloat(pensionStartBalance) || 0;
     return {
-      s0: calculateScenario(currentTurnover, 0, expenses, taxYear),
-      s1500: calculateScenario(currentTurnover, 18000, expenses, taxYear),
-      s1750: calculateScenario(currentTurnover, 21000, expenses, taxYear),
-      s2000: calculateScenario(currentTurnover, 24000, expenses, taxYear),
-      custom: calculateScenario(currentTurnover, currentAnnualPension, expenses, taxYear),
+      ...calculateDrawdown(pot, {
+        withdrawalRate: (withdrawalRate === '' ? 4 : parseFloat(withdrawalRate) || 0) / 100,
+        otherIncome: parseFloat(retirementIncome) || 0,
+        taxYear,
+        residency
+      }),
+      retirementAge: finalYear ? finalYear.age + 1 : parseFloat(currentAge) || 0,
+      deflator: finalYear ? finalYear.realEnd / finalYear.end : 1
     };
-  }, [currentTurnover, currentAnnualPension, yearlyExpenses, taxYear]);
-
-  const projectionData = useMemo(() => {
-    const data = [];
-    let balance = parseFloat(pensionStartBalance) || 0;
-    const contrib = currentAnnualPension;
-    const rate = (parseFloat(pensionGrowth) || 0) / 100;
-    const age = parseFloat(currentAge) || 0;
-    let hitMillion = false;
-
-    for (let year = 1; year <= 25; year++) {
-      const start = balance;
-      const growth = start * rate;
-      balance = start + growth + contrib;
-      let isMillionRow = false;
-      if (!hitMillion && balance >= 1000000) {
-        hitMillion = true;
-        isMillionRow = true;
-      }
-      data.push({ year, age: age + year - 1, contrib, start, growth, end: balance, isMillionRow });
-    }
-    return data;
-  }, [pensionStartBalance, currentAnnualPension, pensionGrowth, currentAge]);
+  }, [projectionData, pensionStartBalance, withdrawalRate, retirementIncome, taxYear, residency, currentAge]);
+
+  const rules = getTaxRules(taxYear);
+  const { lowerLimit: ctLowerLimit, upperLimit: ctUpperLimit, mainRate: ctMainRate } = rules.corporationTax;
 
-  const custom = scenarios.custom;
+  // Rows default to 60%-140% of the current day rate (or turnover); columns run from no pension up
+  const sensitivity = useMemo(() => {
+    const base = isDaily ? currentTurnover / (workingDays || 1) : currentTurnover;
+    const from = sensitivityFrom === '' ? Math.round(base * 0.6) : parseFloat(sensitivityFrom) || 0;
+    const to = sensitivityTo === '' ? Math.round(base * 1.4) : parseFloat(sensitivityTo) || 0;
+    const pensionTo = sensitivityPensionTo === '' ? DEFAULT_SENSITIVITY_PENSION : parseFloat(sensitivityPensionTo) || 0;
+    if (!(to > from) || !(pensionTo > 0)) return null;
+
+    const rowValues = Array.from({ length: SENSITIVITY_ROWS }, (_, i) => from + ((to - from) / (SENSITIVITY_ROWS - 1)) * i);
+    const monthlyPensions = Array.from({ length: SENSITIVITY_COLUMNS }, (_, i) => (pensionTo / (SENSITIVITY_COLUMNS - 1)) * i);
+    const grid = buildSensitivityGrid(
+      rowValues.map(v => isDaily ? v * workingDays : v), monthlyPensions, yearlyExpenses, taxYear,
+      { salary: directorSalary, residency, metric: sensitivityMetric, vat }
+    );
+    return { ...grid, rowValues, monthlyPensions };
+  }, [isDaily, currentTurnover, workingDays, sensitivityFrom, sensitivityTo, sensitivityPensionTo, yearlyExpenses, taxYear, directorSalary, residency, sensitivityMetric, vat]);
+
+  // Net income and tax rate from no pension up to the annual allowance (or all pre-pension profit if lower)
+  const pensionSweep = useMemo(() => {
+    const maxPension = Math.max(currentAnnualPension, Math.min(rules.pensionAllowance.annualAllowance, custom.profit + custom.pension));
+    if (maxPension <= 0) return [];
+    return Array.from({ length: PENSION_SWEEP_STEPS + 1 }, (_, i) => {
+      const pension = (maxPension / PENSION_SWEEP_STEPS) * i;
+      const { annualNet, effectiveTaxRate } = calculateScenario(currentTurnover, pension, yearlyExpenses, taxYear, directorSalary, residency, vat);
+      return { pension, annualNet, effectiveTaxRate };
+    });
+  }, [currentAnnualPension, rules, custom, currentTurnover, yearlyExpenses, taxYear, directorSalary, residency, vat]);
+
+  const salaryOptimisation = useMemo(() => {
+    if (currentTurnover <= 0) return null;
+    return findOptimalSalary(currentTurnover, currentAnnualPension, yearlyExpenses, taxYear, { residency, vat });
+  }, [currentTurnover, currentAnnualPension, yearlyExpenses, taxYear, residency, vat]);
   
   const getCTLabel = (profit, rate) => {
-     if (profit <= 50000) return `Corporation Tax @ ${(rate*100).toFixed(1)}%`;
-     if (profit >= 250000) return `Corporation Tax @ 25%`;
+     if (profit <= ctLowerLimit) return `Corporation Tax @ ${(rate*100).toFixed(1)}%`;
+     if (profit >= ctUpperLimit) return `Corporation Tax @ ${ctMainRate*100}%`;
      return `Corporation Tax (Marginal Relief) @ ${(rate*100).toFixed(2)}%`;
   };
 
+  // --- PENSION ANNUAL ALLOWANCE ---
+  const priorPensionAmounts = useMemo(() => priorPensions.map(v => parseFloat(v) || 0), [priorPensions]);
+  const pensionAllowance = useMemo(
+    () => checkPensionAllowance(custom, priorPensionAmounts),
+    [custom, priorPensionAmounts]
+  );
+
+  const allowanceWarning = pensionAllowance.excess > 0 && (
+    <small style={{color:'var(--accent-warning)'}}>
+      Over your {formatCurrency(pensionAllowance.available)} available allowance by {formatCurrency(pensionAllowance.excess)}
+    </small>
+  );
+
+  // --- MULTI-YEAR PLAN ---
+  const multiYearPlan = useMemo(() => planYears(
+    planRows.map((row, i) => ({
+      taxYear: String(Number(taxYear) + i),
+      turnover: parseFloat(row.turnover) || 0,
+      expenses: parseFloat(row.expenses) || 0,
+      pension: parseFloat(row.pension) || 0,
+      dividend: parseFloat(row.dividend) || 0
+    })),
+    { salary: directorSalary, residency, vat }
+  ), [planRows, taxYear, directorSalary, residency, vat]);
+
+  const addPlanYear = () => {
+    setPlanRows(prev => [...prev, {
+      id: prev.reduce((max, row) => Math.max(max, row.id), 0) + 1,
+      turnover: String(Math.round(currentTurnover)),
+      // One-off expenses fall in the first year of the plan only
+      expenses: String(Math.round(prev.length === 0 ? yearlyExpenses : expenseLedger.recurringTotal)),
+      pension: String(Math.round(currentAnnualPension)),
+      dividend: String(Math.max(0, Math.round(custom.afterCt)))
+    }]);
+  };
+
+  const updatePlanRow = (id, field, value) => {
+    setPlanRows(prev => prev.map(row => row.id === id ? { ...row, [field]: value } : row));
+  };
+
+  // --- IR35 COMPARISON ---
+  const ir35 = useMemo(() => {
+    const weeklyMargin = umbrellaMargin === '' ? DEFAULT_UMBRELLA_MARGIN : parseFloat(umbrellaMargin) || 0;
+    return {
+      umbrella: calculateUmbrella(currentTurnover, currentAnnualPension, taxYear, { umbrellaMargin: weeklyMargin * 52, residency }),
+      deemed: calculateDeemedPayment(currentTurnover, currentAnnualPension, yearlyExpenses, taxYear, { salary: directorSalary, residency, vat })
+    };
+  }, [currentTurnover, currentAnnualPension, yearlyExpenses, taxYear, umbrellaMargin, directorSalary, residency, vat]);
+
+  // --- PERM EQUIVALENT ---
+
+  const perm = useMemo(() => {
+    const options = {
+      employerPensionRate: (parseFloat(permPensionRate) || 0) / 100,
+      benefitsValue: parseFloat(permBenefits) || 0,
+      residency,
+      match: permMatch
+    };
+    const offer = parseFloat(permOffer) || 0;
+    return {
+      equivalent: findPermEquivalentSalary(custom[permMatch], taxYear, options),
+      dayRate: offer > 0 ? findDayRateForPermSalary(offer, contractDays, taxYear, {
+        ...options,
+        annualPension: currentAnnualPension,
+        yearlyExpenses,
+        salary: directorSalary,
+        vat
+      }) : null
+    };
+  }, [custom, permPensionRate, permBenefits, permMatch, permOffer, residency, taxYear, contractDays, currentAnnualPension, yearlyExpenses, directorSalary, vat]);
+
   // --- OPTIMISATION STRATEGIES ---
-  const strategies = useMemo(() => {
-    const marginalRate = custom.marginalRate; 
-    
-    // 1. Optimise Profit to £50k (Reduce Tax Band)
-    const currentProfit = custom.profit;
-    const excessProfit = Math.max(0, currentProfit - 50000);
-    const pensionNeeded = excessProfit;
-    const pensionTaxSave = pensionNeeded * marginalRate;
-    
-    // 2. EV
-    const evCost = 7200; // £600/mo
-    const evTotalBenefit = (evCost * marginalRate) + (evCost * 0.3375);
-
-    // 3. Trivial Benefits
-    const trivBen = 300;
-    const trivSave = (trivBen * marginalRate) + (trivBen * 0.3375);
-
-    // 4. Use of Home (Rent a Room)
-    const flatRate = 312;
-    const flatRateSave = flatRate * marginalRate;
-    const rentVal = 2400;
-    const rentTotalSave = rentVal * marginalRate;
-    const rentExtraSave = rentTotalSave - flatRateSave; 
-
-    // 5. Annual Party
-    const partyCost = 300; // £150 x 2
-    const partySave = (partyCost * marginalRate) + (partyCost * 0.3375);
-
-    return [
-      {
-        id: 'pension',
-        title: 'Optimise for 19% Tax Rate',
-        icon: '📉',
-        desc: currentProfit <= 50000 
-          ? 'Great job! Your profit is already at or below £50,000, ensuring you pay the lowest Corporation Tax rate (19%).'
-          : `Contribute an extra £${(pensionNeeded/1000).toFixed(1)}k to pension to bring profit down to £50k. This avoids the 26.5% marginal tax trap on that excess.`,
-        value: pensionTaxSave,
-        subtext: `Corp Tax Saved`,
-        canApply: currentProfit > 50000,
-        applyValue: pensionNeeded + custom.pension 
-      },
-      {
-        id: 'ev',
-        title: 'Company Electric Car',
-        icon: '🚗',
-        desc: 'Lease an EV (~£600/mo). 100% Corp Tax write-off + negligible BiK.',
-        value: evTotalBenefit,
-        subtext: 'Total Tax Efficiency / yr',
-        canApply: false
-      },
-      {
-        id: 'trivial',
-        title: 'Trivial Benefits',
-        icon: '🎁',
-        desc: 'Utilise your £300 annual director exemption for gift cards (Amazon, etc).',
-        value: trivSave,
-        subtext: 'Tax-free Extraction',
-        canApply: false
-      },
-      {
-        id: 'wfh',
-        title: 'Formal Home Rent',
-        icon: '🏠',
-        desc: `Switch from £6/wk flat rate (saves £${Math.round(flatRateSave)}/yr) to a formal rental agreement.`,
-        value: rentExtraSave,
-        subtext: 'Extra Corp Tax saved',
-        canApply: false
-      },
-      {
-        id: 'party',
-        title: 'Annual Party (+1 Guest)',
-        icon: '🥂',
-        desc: '£150/head allowance. Treat yourself and a partner to a Christmas/Summer event.',
-        value: partySave,
-        subtext: 'Tax-free value extracted',
-        canApply: false
-      }
-    ];
-  }, [custom]);
+  const strategies = useMemo(() => buildStrategies(custom, rules, {
+    priorPensionContributions: priorPensionAmounts,
+    params: Object.fromEntries(Object.entries(strategyParams)
+      .filter(([, value]) => value !== '')
+      .map(([key, value]) => [key, parseFloat(value) || 0])),
+    applied: expenseLedger.rows.reduce((applied, row) => row.strategy
+      ? { ...applied, [row.strategy]: (applied[row.strategy] ?? 0) + row.deduction }
+      : applied, {})
+  }), [custom, rules, priorPensionAmounts, strategyParams, expenseLedger]);
+
+  // A strategy's changes: an annual pension, a salary and/or expenses ledger lines, which replace any the same
+  // strategy added before
+  const applyStrategy = (id, changes) => {
+    if (changes.pension !== undefined) {
+      if (isDaily) setMonthlyPension(Math.round(changes.pension / 12));
+      else setAnnualPension(Math.round(changes.pension));
+    }
+    if (changes.salary !== undefined) setSalary(String(Math.round(changes.salary)));
+    if (changes.expenses) {
+      setExpenseItems(prev => {
+        const nextId = prev.reduce((max, item) => Math.max(max, item.id), 0) + 1;
+        return [
+          ...prev.filter(item => item.strategy !== id),
+          ...changes.expenses.map((item, i) => ({ ...item, id: nextId + i, amount: String(item.amount), strategy: id }))
+        ];
+      });
+    }
+    setActiveTab('comparison');
+  };
 
   return (
     <>
@@ -320,6 +616,18 @@ export default function App() {
 
         /* HEADER & MINIMALIST TOGGLE */
         header { margin-bottom: 24px; display: flex; justify-content: space-between; align-items: center; }
+
+        /* PROFILE SWITCHER */
+        .profile-switcher { display: flex; align-items: center; gap: 6px; margin-left: auto; margin-right: 16px; flex-wrap: wrap; }
+        .profile-switcher select, .profile-switcher input {
+          padding: 6px 10px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          background: var(--bg-card);
+          color: var(--text-main);
+          font-size: 0.85rem;
+        }
+        .profile-switcher .segment-btn { padding: 4px 8px; }
         h1 { font-size: 1.75rem; font-weight: 700; letter-spacing: -0.02em; margin: 0; color: var(--header-text); }
         
         .toggle-switch {
@@ -384,7 +692,7 @@ export default function App() {
         
         .input-group { display: flex; flex-direction: column; }
         .input-group label { font-size: 0.75rem; font-weight: 600; color: var(--text-muted); margin-bottom: 4px; text-transform: uppercase; letter-spacing: 0.02em; }
-        .input-group input {
+        .input-group input, .input-group select {
           font-family: 'Inter', sans-serif;
           font-size: 0.9rem;
           padding: 8px 10px;
@@ -394,7 +702,7 @@ export default function App() {
           background: var(--bg-card);
           transition: all 0.2s;
         }
-        .input-group input:focus { outline: none; border-color: var(--border-focus); box-shadow: 0 0 0 3px rgba(79, 70, 229, 0.1); }
+        .input-group input:focus, .input-group select:focus { outline: none; border-color: var(--border-focus); box-shadow: 0 0 0 3px rgba(79, 70, 229, 0.1); }
         .input-group small { font-size: 0.7rem; color: var(--text-muted); margin-top: 4px; }
 
         /* SEGMENTED CONTROL */
@@ -454,6 +762,18 @@ export default function App() {
         [data-theme='dark'] .modern-table .gold-row { background-color: #78350f; color: white !important; }
         [data-theme='dark'] .modern-table .gold-row td { color: #fef3c7; }
         .modern-table .info-row { color: var(--text-muted); font-style: italic; font-size: 0.85rem; }
+        .modern-table .table-input, .opt-params .table-input {
+          width: 100%;
+          min-width: 80px;
+          font-family: 'SF Mono', 'Roboto Mono', monospace;
+          font-size: 0.85rem;
+          padding: 6px 8px;
+          border: 1px solid var(--border);
+          border-radius: 6px;
+          color: var(--text-main);
+          background: var(--bg-card);
+        }
+        .modern-table .table-input:focus, .opt-params .table-input:focus { outline: none; border-color: var(--border-focus); }
 
         /* DASHBOARD STATS */
         .stat-grid { display: grid; grid-template-columns: repeat(auto-fit, minmax(180px, 1fr)); gap: 16px; margin-bottom: 24px; }
@@ -474,6 +794,9 @@ export default function App() {
         .opt-value { font-family: 'SF Mono', monospace; color: var(--accent-success); font-weight: 700; font-size: 1.1rem; }
         .opt-desc { font-size: 0.85rem; color: var(--text-muted); line-height: 1.5; margin-bottom: 12px; }
         .opt-sub { font-size: 0.75rem; color: var(--primary); font-weight: 600; text-transform: uppercase; letter-spacing: 0.03em; }
+        .opt-params { display: flex; flex-wrap: wrap; gap: 8px; margin-top: 12px; }
+        .opt-params label { flex: 1; min-width: 110px; font-size: 0.75rem; color: var(--text-muted); }
+        .opt-params .table-input { display: block; margin-top: 2px; }
         .opt-btn { width: 100%; padding: 10px; margin-top: 15px; background: var(--section-header-bg); border: 1px solid var(--border); color: var(--text-main); font-size: 0.85rem; font-weight: 600; border-radius: 6px; cursor: pointer; transition: all 0.2s; }
         .opt-btn:hover { background: var(--primary); color: white; border-color: var(--primary); }
 
@@ -504,17 +827,76 @@ export default function App() {
           margin: 24px 0 12px 0;
         }
 
+        /* CHARTS */
+        .chart { margin: 16px 0 24px 0; }
+        .chart svg { display: block; width: 100%; height: auto; }
+        .chart-grid { stroke: var(--border); stroke-width: 1; }
+        .chart-label { fill: var(--text-muted); font-size: 11px; }
+        .chart-area-start { fill: var(--text-muted); fill-opacity: 0.35; }
+        .chart-area-contrib { fill: var(--primary); fill-opacity: 0.75; }
+        .chart-area-growth { fill: var(--accent-success); fill-opacity: 0.75; }
+        .chart-bar-total { fill: var(--primary); }
+        .chart-bar-down { fill: var(--accent-warning); }
+        .chart-bar-up { fill: var(--accent-success); }
+        .chart-line-net { fill: none; stroke: var(--primary); stroke-width: 2.5; }
+        .chart-line-rate { fill: none; stroke: var(--accent-warning); stroke-width: 2.5; }
+        .chart-marker { stroke: var(--text-muted); stroke-dasharray: 4 4; }
+        .chart-legend { display: flex; justify-content: center; gap: 16px; flex-wrap: wrap; font-size: 0.75rem; color: var(--text-muted); }
+        .chart-swatch { display: inline-block; width: 10px; height: 10px; border-radius: 2px; margin-right: 6px; vertical-align: middle; }
+        .chart-swatch.chart-area-start { background: var(--text-muted); opacity: 0.35; }
+        .chart-swatch.chart-area-contrib, .chart-swatch.chart-line-net, .chart-swatch.chart-bar-total { background: var(--primary); }
+        .chart-swatch.chart-area-growth { background: var(--accent-success); }
+        .chart-swatch.chart-line-rate { background: var(--accent-warning); }
+        .chart-swatch.chart-marker { background: var(--text-muted); }
+
+        /* SENSITIVITY HEATMAP */
+        .heatmap td, .heatmap th { padding: 8px 10px; white-space: nowrap; }
+        .heatmap .heat-edge-ct { box-shadow: inset 3px 0 0 var(--primary); }
+        .heatmap .heat-edge-div { box-shadow: inset 0 -3px 0 var(--accent-warning); }
+        .heatmap .heat-edge-ct.heat-edge-div { box-shadow: inset 3px 0 0 var(--primary), inset 0 -3px 0 var(--accent-warning); }
+        .chart-swatch.heat-edge-ct { background: var(--primary); }
+        .chart-swatch.heat-edge-div { background: var(--accent-warning); }
+
         @media (max-width: 600px) {
           .controls-grid { grid-template-columns: 1fr; }
           .segmented-control { display: flex; width: 100%; margin-right: 0; }
+          header { flex-wrap: wrap; gap: 12px; }
+          .profile-switcher { order: 3; width: 100%; margin: 0; }
           .segment-btn { flex: 1; text-align: center; }
           .modern-table th, .modern-table td { padding: 10px 8px; }
         }
+
+        /* PRINT REPORT */
+        .print-only { display: none; }
+        @media print {
+          :root, [data-theme='dark'] {
+            --bg-app: #ffffff;
+            --bg-card: #ffffff;
+            --text-main: #0f172a;
+            --text-muted: #475569;
+            --border: #cbd5e1;
+            --section-header-bg: #f1f5f9;
+            --primary: #4f46e5;
+          }
+          @page { margin: 12mm; }
+          body { font-size: 10pt; transition: none; }
+          .app-container { max-width: none; margin: 0; padding: 0; }
+          .print-only { display: block; }
+          .no-print, .toggle-switch, .profile-switcher, .chart, button { display: none !important; }
+          header { margin-bottom: 8px; }
+          h1 { font-size: 1.25rem; }
+          .card { border: none; box-shadow: none; padding: 0; margin: 0; }
+          .section-header { margin: 10px 0 4px 0; padding: 4px 8px; -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+          .modern-table td, .modern-table th { padding: 3px 8px; }
+          .modern-table tr, .section-header { break-inside: avoid; }
+          .insight-card { display: none; }
+        }
       `}</style>
 
       <div className="app-container">
         <header>
           <h1>Contractor Tax Calculator</h1>
+          {profileSwitcher}
           {/* MINIMALIST FINTECH TOGGLE */}
           <div className="toggle-switch" onClick={toggleTheme} title="Toggle Theme">
              <div className="toggle-knob">
@@ -537,35 +919,110 @@ export default function App() {
           </div>
         </header>
 
+        {/* PRINT REPORT HEADER */}
+        <div className="print-only">
+          <div className="section-header">Report Assumptions · Generated {new Date().toLocaleDateString('en-GB', { day: 'numeric', month: 'long', year: 'numeric' })}</div>
+          <table className="modern-table">
+            <tbody>
+              <tr><td>Tax Year</td><td className="mono" style={{textAlign:'right'}}>{rules.label} ({RESIDENCIES[residency]})</td></tr>
+              {isContracts ? (
+                <tr><td>Working Days Basis</td><td className="mono" style={{textAlign:'right'}}>{contractSummary.totalDays} days over {contracts.length} contracts, {contractSummary.benchDays} bench days; {BANK_HOLIDAY_REGIONS[holidayRegion]} bank holidays</td></tr>
+              ) : (
+              <tr><td>Working Days Basis</td><td className="mono" style={{textAlign:'right'}}>{calendar.workingDays} days: {calendar.weekdays} weekdays {calendar.start} to {calendar.end} less {calendar.bankHolidays.length} {BANK_HOLIDAY_REGIONS[holidayRegion]} bank holidays{calendar.leaveDays > 0 ? ` and ${calendar.leaveDays} booked leave` : ''}</td></tr>
+              )}
+              <tr><td>Director Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(directorSalary)}</td></tr>
+              <tr><td>Personal Allowance</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(rules.incomeTax.personalAllowance)}, tapered over {formatCurrency(rules.incomeTax.taperThreshold)}</td></tr>
+              <tr><td>Dividend Allowance and Rates</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(rules.dividends.allowance)}; {Object.values(rules.dividends.rates).map(formatPercentage).join(' / ')}</td></tr>
+              <tr><td>Corporation Tax</td><td className="mono" style={{textAlign:'right'}}>{formatPercentage(rules.corporationTax.smallRate)} to {formatCurrency(ctLowerLimit)}, {formatPercentage(ctMainRate)} over {formatCurrency(ctUpperLimit)}</td></tr>
+              <tr><td>Employer NI</td><td className="mono" style={{textAlign:'right'}}>{formatPercentage(rules.employerNI.rate)} over {formatCurrency(rules.employerNI.secondaryThreshold)}</td></tr>
+              <tr><td>Employer Pension Contribution</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(currentAnnualPension)}</td></tr>
+              <tr><td>VAT</td><td className="mono" style={{textAlign:'right'}}>{VAT_SCHEMES[vatScheme]}{vatScheme === 'flatRate' ? ` at ${formatPercentage(custom.vat.flatRate)} (${FLAT_RATE_SECTORS[flatRateSector].label})` : ''}</td></tr>
+            </tbody>
+          </table>
+        </div>
+
         {/* CONTROLS BAR */}
-        <div className="controls-bar">
+        <div className="controls-bar no-print">
           <div className="segmented-control">
             <button className={`segment-btn ${incomeMode === 'dayRate' ? 'active' : ''}`} onClick={() => setIncomeMode('dayRate')}>Day Rate</button>
             <button className={`segment-btn ${incomeMode === 'annualTurnover' ? 'active' : ''}`} onClick={() => setIncomeMode('annualTurnover')}>Annual Turnover</button>
+            <button className={`segment-btn ${incomeMode === 'targetNet' ? 'active' : ''}`} onClick={() => setIncomeMode('targetNet')}>Target Net</button>
+            <button className={`segment-btn ${incomeMode === 'contracts' ? 'active' : ''}`} onClick={() => setIncomeMode('contracts')}>Contracts</button>
+          </div>
+          <div className="segmented-control">
+            {Object.entries(TAX_YEAR_RULES).map(([year, { label }]) => (
+              <button key={year} className={`segment-btn ${taxYear === year ? 'active' : ''}`} onClick={() => setTaxYear(year)}>{label}</button>
+            ))}
+          </div>
+          <div className="segmented-control">
+            {Object.entries(RESIDENCIES).map(([key, label]) => (
+              <button key={key} className={`segment-btn ${residency === key ? 'active' : ''}`} onClick={() => setResidency(key)}>{label}</button>
+            ))}
           </div>
           <div className="segmented-control">
-            <button className={`segment-btn ${taxYear === '2025' ? 'active' : ''}`} onClick={() => setTaxYear('2025')}>2025/26</button>
-            <button className={`segment-btn ${taxYear === '2026' ? 'active' : ''}`} onClick={() => setTaxYear('2026')}>2026/27</button>
+            <button className="segment-btn" onClick={() => window.print()}>Print Report</button>
+            <button className="segment-btn" onClick={copyLink}>Copy Link</button>
+            <button className="segment-btn" onClick={exportJson}>Export JSON</button>
+            <button className="segment-btn" onClick={exportCsv}>Export CSV</button>
+            <label className="segment-btn">
+              Import
+              <input type="file" accept=".json,application/json" onChange={importJson} hidden />
+            </label>
           </div>
+          {linkStatus && <small className="mono" style={{color:'var(--text-muted)', wordBreak:'break-all'}}>{linkStatus}</small>}
         </div>
+        {importErrors.length > 0 && (
+          <div className="insight-card no-print">
+            <span className="insight-icon">⚠️</span>
+            <div>
+              {importErrors[0]}
+              <ul style={{margin:'4px 0 0', paddingLeft:18}}>
+                {importErrors.slice(1).map(error => <li key={error}>{error}</li>)}
+              </ul>
+            </div>
+          </div>
+        )}
+        {ignoredLinkFields.length > 0 && (
+          <div className="insight-card no-print">
+            <span className="insight-icon">⚠️</span>
+            <div>Some values in the link were missing or out of range and have been ignored: {ignoredLinkFields.join(', ')}.</div>
+          </div>
+        )}
 
         {/* MAIN INPUT CARD */}
-        <div className="card">
+        <div className="card no-print">
           <div className="controls-grid">
-            {isDayRate ? (
+            {isDaily ? (
               <>
-                <div className="input-group">
-                  <label>Daily Rate</label>
-                  <input type="number" value={dailyRate} onChange={(e) => setDailyRate(e.target.value)} placeholder="0" />
-                </div>
-                <div className="input-group">
-                  <label>Personal Holidays</label>
-                  <input type="number" value={holidays} onChange={(e) => setHolidays(e.target.value)} placeholder="0" />
-                  <small>261 - 8BH - {holidays || 0} PTO = {workingDays} Working Days</small>
-                </div>
+                {isContracts ? null : isDayRate ? (
+                  <div className="input-group">
+                    <label htmlFor="dailyRate">Daily Rate</label>
+                    <input id="dailyRate" type="number" value={dailyRate} onChange={(e) => setDailyRate(e.target.value)} placeholder="0" />
+                  </div>
+                ) : (
+                  <>
+                    <div className="input-group">
+                      <label>Target Monthly Net</label>
+                      <input type="number" value={targetMonthlyNet} onChange={(e) => updateTargetNet(e.target.value, 'monthly')} placeholder="0" />
+                    </div>
+                    <div className="input-group">
+                      <label>Target Annual Net</label>
+                      <input type="number" value={targetAnnualNet} onChange={(e) => updateTargetNet(e.target.value, 'annual')} placeholder="0" />
+                      <small>Needs {formatCurrency(requiredDayRate)}/day over {workingDays} days</small>
+                    </div>
+                  </>
+                )}
+                {!isContracts && (
+                  <div className="input-group">
+                    <label>Personal Holidays</label>
+                    <input type="number" value={holidays} onChange={(e) => setHolidays(e.target.value)} placeholder="0" />
+                    <small>{calendar.workingDays + calendar.leaveDays} - {calendar.leaveDays} leave - {holidays || 0} PTO = {workingDays} Working Days</small>
+                  </div>
+                )}
                 <div className="input-group">
                   <label>Monthly Pension</label>
                   <input type="number" value={monthlyPension} onChange={(e) => setMonthlyPension(e.target.value)} placeholder="0" />
+                  {allowanceWarning}
                 </div>
               </>
             ) : (
@@ -577,21 +1034,209 @@ export default function App() {
                 <div className="input-group">
                   <label>Annual Pension</label>
                   <input type="number" value={annualPension} onChange={(e) => setAnnualPension(e.target.value)} placeholder="0" />
+                  {allowanceWarning}
                 </div>
               </>
             )}
             <div className="input-group">
-              <label>Annual Expenses</label>
-              <input type="number" value={yearlyExpenses} onChange={(e) => setYearlyExpenses(e.target.value)} placeholder="0" />
+              <label>Director Salary</label>
+              <input type="number" value={salary} onChange={(e) => setSalary(e.target.value)} placeholder={String(DEFAULT_SALARY)} />
+              <small>Secondary threshold {formatCurrency(rules.employerNI.secondaryThreshold)} · Primary threshold {formatCurrency(rules.employeeNI.primaryThreshold)}</small>
+            </div>
+            <div className="input-group">
+              <label>VAT</label>
+              <select value={vatScheme} onChange={(e) => setVatScheme(e.target.value)}>
+                {Object.entries(VAT_SCHEMES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+              </select>
+              {custom.vat.mustRegister
+                ? <small style={{color:'var(--accent-warning)'}}>Turnover is over the {formatCurrency(rules.vat.registrationThreshold)} registration threshold</small>
+                : <small>Turnover is entered excluding VAT</small>}
             </div>
+            {vatScheme === 'flatRate' && (
+              <>
+                <div className="input-group">
+                  <label>Flat Rate Sector</label>
+                  <select value={flatRateSector} onChange={(e) => setFlatRateSector(e.target.value)}>
+                    {Object.entries(FLAT_RATE_SECTORS).map(([key, { label, rate }]) => <option key={key} value={key}>{label} ({formatPercentage(rate)})</option>)}
+                  </select>
+                </div>
+                <div className="input-group">
+                  <label>Flat Rate Discount</label>
+                  <select value={flatRateFirstYear} onChange={(e) => setFlatRateFirstYear(e.target.value)}>
+                    <option value="no">None</option>
+                    <option value="yes">First year of registration (-{formatPercentage(rules.vat.flatRateFirstYearDiscount)})</option>
+                  </select>
+                  <small>Keeps {formatCurrency(custom.vat.flatRateSurplus)} of the VAT charged as profit</small>
+                </div>
+              </>
+            )}
           </div>
+          {isContracts && (
+            <>
+              <div className="section-header">
+                Contracts ({formatCurrency(contractSummary.turnover)} over {contractSummary.totalDays} days)
+                <button className="segment-btn" style={{float:'right', padding:'0 6px'}} onClick={addContract}>+ Add Contract</button>
+              </div>
+              {contracts.length === 0 ? (
+                <div className="insight-card" style={{marginTop:0}}>
+                  <span className="insight-icon">ℹ️</span>
+                  <div>Add each contract you expect this tax year. Turnover is built from every contract's days and rate, and the gaps between them show as bench time.</div>
+                </div>
+              ) : (
+                <table className="modern-table">
+                  <thead>
+                    <tr>
+                      <th>Client</th>
+                      <th>Day Rate</th>
+                      <th>Start</th>
+                      <th>End</th>
+                      <th>Days/Week</th>
+                      <th>Holidays</th>
+                      <th style={{textAlign:'right'}}>Days</th>
+                      <th style={{textAlign:'right'}}>Turnover</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {contracts.map((contract, i) => {
+                      const result = contractSummary.rows[i];
+                      return (
+                        <tr key={contract.id}>
+                          <td><input className="table-input" value={contract.client} onChange={(e) => updateContract(contract.id, 'client', e.target.value)} placeholder={`Contract ${i + 1}`} aria-label="Client" /></td>
+                          <td><input className="table-input" type="number" value={contract.dailyRate} onChange={(e) => updateContract(contract.id, 'dailyRate', e.target.value)} placeholder="0" aria-label="Day Rate" /></td>
+                          <td><input className="table-input" type="date" value={contract.start} onChange={(e) => updateContract(contract.id, 'start', e.target.value)} aria-label="Start" /></td>
+                          <td><input className="table-input" type="date" value={contract.end} onChange={(e) => updateContract(contract.id, 'end', e.target.value)} aria-label="End" /></td>
+                          <td><input className="table-input" type="number" value={contract.daysPerWeek} onChange={(e) => updateContract(contract.id, 'daysPerWeek', e.target.value)} placeholder="5" aria-label="Days per Week" /></td>
+                          <td><input className="table-input" type="number" value={contract.holidays} onChange={(e) => updateContract(contract.id, 'holidays', e.target.value)} placeholder="0" aria-label="Holidays" /></td>
+                          <td className="mono" style={{textAlign:'right'}}>{result.days}</td>
+                          <td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(result.turnover)}</td>
+                          <td><button className="segment-btn" onClick={() => setContracts(prev => prev.filter(c => c.id !== contract.id))} title="Remove contract">✕</button></td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              )}
+              <small style={{color:'var(--text-muted)'}}>Blank dates run to the start or end of the tax year.</small>
+            </>
+          )}
+          {isDaily && (
+            <>
+              <div className="section-header">Working Days ({rules.label}: {isContracts ? `${contractSummary.totalDays} days across contracts` : `${calendar.workingDays} days`})</div>
+              <div className="controls-grid">
+                {!isContracts && (
+                  <>
+                    <div className="input-group">
+                      <label>Days per Week</label>
+                      <input type="number" value={daysPerWeek} onChange={(e) => setDaysPerWeek(e.target.value)} placeholder="5" />
+                    </div>
+                    <div className="input-group">
+                      <label>Contract Start</label>
+                      <input type="date" value={contractStart} onChange={(e) => setContractStart(e.target.value)} />
+                    </div>
+                    <div className="input-group">
+                      <label>Contract End</label>
+                      <input type="date" value={contractEnd} onChange={(e) => setContractEnd(e.target.value)} />
+                      <small>Blank dates cover the whole tax year</small>
+                    </div>
+                  </>
+                )}
+                <div className="input-group">
+                  <label>Bank Holidays</label>
+                  <select value={bankHolidayRegion} onChange={(e) => setBankHolidayRegion(e.target.value)}>
+                    <option value="">Match residency ({BANK_HOLIDAY_REGIONS[residency === 'scotland' ? 'scotland' : 'englandWales']})</option>
+                    {Object.entries(BANK_HOLIDAY_REGIONS).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+                  </select>
+                  <small>
+                    {!calendar.hasBankHolidays
+                      ? `No bank holiday dates for ${rules.label} yet; none deducted`
+                      : isContracts
+                      ? 'Taken off each contract'
+                      : `${calendar.bankHolidays.length} on weekdays in the contract`}
+                  </small>
+                </div>
+                <div className="input-group">
+                  <label>Booked Leave</label>
+                  <div style={{display:'flex', gap:6}}>
+                    <input type="date" value={leaveDraft} onChange={(e) => setLeaveDraft(e.target.value)} style={{flex:1}} />
+                    <button className="segment-btn" onClick={addLeaveDate}>Add</button>
+                  </div>
+                  <small>
+                    {leaveDates.length === 0 ? 'Specific days off, e.g. a booked holiday' : leaveDates.map(date => (
+                      <span key={date} style={{marginRight:8, whiteSpace:'nowrap'}}>
+                        {date} <button className="segment-btn" style={{padding:'0 4px'}} aria-label={`Remove leave on ${date}`} onClick={() => setLeaveDates(prev => prev.filter(d => d !== date))}>×</button>
+                      </span>
+                    ))}
+                  </small>
+                </div>
+              </div>
+            </>
+          )}
+          <div className="section-header">
+            Expenses ({formatCurrency(yearlyExpenses)} a year, saving {formatCurrency(yearlyExpenses * custom.marginalRate)} Corp Tax)
+            <button className="segment-btn" style={{float:'right', padding:'0 6px'}} onClick={addExpense}>+ Add Expense</button>
+          </div>
+          {expenseItems.length === 0 ? (
+            <div className="insight-card" style={{marginTop:0}}>
+              <span className="insight-icon">ℹ️</span>
+              <div>Add each business cost as a one-off, monthly or annual amount. Equipment is claimed through the Annual Investment Allowance, and mileage is entered in business miles at HMRC rates.</div>
+            </div>
+          ) : (
+            <table className="modern-table">
+              <thead>
+                <tr>
+                  <th>Description</th>
+                  <th>Category</th>
+                  <th>Frequency</th>
+                  <th>Amount</th>
+                  <th style={{textAlign:'right'}}>Per Year</th>
+                  <th style={{textAlign:'right'}}>Deduction</th>
+                  <th style={{textAlign:'right'}}>CT Saved @ {formatPercentage(custom.marginalRate)}</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {expenseItems.map((item, i) => {
+                  const result = expenseLedger.rows[i];
+                  return (
+                    <tr key={item.id}>
+                      <td><input className="table-input" value={item.description} onChange={(e) => updateExpense(item.id, 'description', e.target.value)} placeholder={EXPENSE_CATEGORIES[result.category].label} aria-label="Description" /></td>
+                      <td>
+                        <select className="table-input" value={result.category} onChange={(e) => updateExpense(item.id, 'category', e.target.value)} aria-label="Category">
+                          {Object.entries(EXPENSE_CATEGORIES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                      </td>
+                      <td>
+                        <select className="table-input" value={result.frequency} onChange={(e) => updateExpense(item.id, 'frequency', e.target.value)} aria-label="Frequency">
+                          {Object.entries(EXPENSE_FREQUENCIES).map(([key, { label }]) => <option key={key} value={key}>{label}</option>)}
+                        </select>
+                      </td>
+                      <td><input className="table-input" type="number" value={item.amount} onChange={(e) => updateExpense(item.id, 'amount', e.target.value)} placeholder={result.miles !== undefined ? 'Miles' : '0'} aria-label="Amount" /></td>
+                      <td className="mono" style={{textAlign:'right'}}>
+                        {formatCurrency(result.annualCost)}
+                        {result.miles !== undefined && <><br/><small style={{color:'var(--text-muted)'}}>{result.miles.toLocaleString('en-GB')} miles</small></>}
+                      </td>
+                      <td className="mono" style={{textAlign:'right'}}>
+                        {formatCurrency(result.deduction)}
+                        {result.aia !== undefined && <><br/><small style={{color:'var(--text-muted)'}}>{result.aia < result.annualCost ? `AIA ${formatCurrency(result.aia)} + writing down` : 'AIA'}</small></>}
+                      </td>
+                      <td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(result.deduction * custom.marginalRate)}</td>
+                      <td><button className="segment-btn" onClick={() => setExpenseItems(prev => prev.filter(e => e.id !== item.id))} title="Remove expense">✕</button></td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
         </div>
 
         {/* RESULTS AREA */}
         <div className="card">
-          <div className="tabs-nav">
-            {['comparison', 'breakdown', 'pension', 'optimize'].map(tab => {
+          <div className="tabs-nav no-print">
+            {TABS.map(tab => {
                let label = tab.charAt(0).toUpperCase() + tab.slice(1);
+               if(tab === 'ir35') label = 'IR35';
+               if(tab === 'perm') label = 'Perm Equivalent';
                if(tab === 'breakdown') label = 'Detailed Breakdown';
                if(tab === 'pension') label = 'Pension Projection';
                if(tab === 'optimize') label = 'Optimise Tax';
@@ -614,11 +1259,23 @@ export default function App() {
           </div>
 
           {/* TAB: COMPARISON */}
-          {activeTab === 'comparison' && (
+          {visibleTab === 'comparison' && (
             <div className="tab-pane">
               {/* --- DASHBOARD --- */}
               <div className="stat-grid">
-                <div className="stat-card primary">
+                {isTargetNet && (
+                  <>
+                    <div className="stat-card primary">
+                      <div className="stat-label">Required Day Rate</div>
+                      <div className="stat-value">{formatCurrency(requiredDayRate)}</div>
+                    </div>
+                    <div className="stat-card">
+                      <div className="stat-label">Required Turnover</div>
+                      <div className="stat-value">{formatCurrency(currentTurnover)}</div>
+                    </div>
+                  </>
+                )}
+                <div className={`stat-card ${isTargetNet ? '' : 'primary'}`}>
                   <div className="stat-label">Net Annual</div>
                   <div className="stat-value">{formatCurrency(custom.annualNet)}</div>
                 </div>
@@ -636,6 +1293,10 @@ export default function App() {
                 </div>
               </div>
 
+              <div className="section-header">
+                Scenarios
+                <button className="segment-btn" style={{float:'right', padding:'0 6px'}} onClick={addComparisonScenario}>+ Add Scenario</button>
+              </div>
               <table className="modern-table">
                 <thead>
                   <tr>
@@ -645,22 +1306,54 @@ export default function App() {
                     <th style={{textAlign:'right'}}>Net Annual</th>
                     <th style={{textAlign:'right'}}>Total Value</th>
                     <th style={{textAlign:'right'}}>Eff. Tax</th>
+                    <th style={{textAlign:'right'}}>vs Your Input</th>
+                    <th></th>
                   </tr>
                 </thead>
                 <tbody>
-                  {[
-                    { label: 'No Pension', data: scenarios.s0 },
-                    { label: '£1.5k / mo', data: scenarios.s1500 },
-                    { label: '£2.0k / mo', data: scenarios.s2000 },
-                  ].map((row, i) => (
-                    <tr key={i}>
-                      <td>{row.label}</td>
-                      <td className="mono">{formatCurrency(row.data.pension)}</td>
-                      <td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(row.data.monthlyNet)}</td>
-                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.data.annualNet)}</td>
-                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.data.totalValue)}</td>
-                      <td className="mono" style={{textAlign:'right'}}>{formatPercentage(row.data.effectiveTaxRate)}</td>
-                    </tr>
+                  {comparisonResults.map(({ scenario, result, delta }) => (
+                    <React.Fragment key={scenario.id}>
+                      <tr>
+                        <td>{scenario.name || 'Untitled'}</td>
+                        <td className="mono">{formatCurrency(result.pension)}</td>
+                        <td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(result.monthlyNet)}</td>
+                        <td className="mono" style={{textAlign:'right'}}>{formatCurrency(result.annualNet)}</td>
+                        <td className="mono" style={{textAlign:'right'}}>{formatCurrency(result.totalValue)}</td>
+                        <td className="mono" style={{textAlign:'right'}}>{formatPercentage(result.effectiveTaxRate)}</td>
+                        <td className="mono" style={{textAlign:'right'}}>{delta >= 0 ? '+' : '-'}{formatCurrency(Math.abs(delta))}</td>
+                        <td style={{textAlign:'right', whiteSpace:'nowrap'}}>
+                          <button className="segment-btn" style={{padding:'0 6px'}} onClick={() => setEditingScenarioId(editingScenarioId === scenario.id ? null : scenario.id)}>{editingScenarioId === scenario.id ? 'Done' : 'Edit'}</button>
+                          <button className="segment-btn" style={{padding:'0 6px'}} aria-label={`Delete ${scenario.name}`} onClick={() => deleteComparisonScenario(scenario.id)}>×</button>
+                        </td>
+                      </tr>
+                      {editingScenarioId === scenario.id && (
+                        <tr>
+                          <td colSpan={8}>
+                            <div className="controls-grid">
+                              <div className="input-group">
+                                <label>Name</label>
+                                <input type="text" value={scenario.name} onChange={(e) => updateComparisonScenario(scenario.id, 'name', e.target.value)} />
+                              </div>
+                              {[
+                                { field: 'pension', label: 'Pension (Yr)', placeholder: currentAnnualPension },
+                                { field: 'expenses', label: 'Expenses', placeholder: Math.round(yearlyExpenses) },
+                                { field: 'salary', label: 'Director Salary', placeholder: directorSalary },
+                                ...(isDaily ? [
+                                  { field: 'dailyRate', label: 'Day Rate', placeholder: Math.round(currentTurnover / (workingDays || 1)) },
+                                  { field: 'holidays', label: 'Holidays', placeholder: parseFloat(holidays) || 0 }
+                                ] : [])
+                              ].map(({ field, label, placeholder }) => (
+                                <div className="input-group" key={field}>
+                                  <label>{label}</label>
+                                  <input type="number" value={scenario[field]} onChange={(e) => updateComparisonScenario(scenario.id, field, e.target.value)} placeholder={String(placeholder)} />
+                                </div>
+                              ))}
+                            </div>
+                            <small style={{color:'var(--text-muted)'}}>Leave a field blank to use Your Input.{!isDaily && ' Day rate and holidays apply in Day Rate and Target Net modes.'}</small>
+                          </td>
+                        </tr>
+                      )}
+                    </React.Fragment>
                   ))}
                   <tr className="highlight-row">
                     <td>Your Input</td>
@@ -669,22 +1362,204 @@ export default function App() {
                     <td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.annualNet)}</td>
                     <td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.totalValue)}</td>
                     <td className="mono" style={{textAlign:'right'}}>{formatPercentage(custom.effectiveTaxRate)}</td>
+                    <td className="mono" style={{textAlign:'right'}}>–</td>
+                    <td></td>
                   </tr>
                 </tbody>
               </table>
+
+              {pensionSweep.length > 0 && (
+                <>
+                  <div className="section-header">Net Income vs Pension</div>
+                  <PensionSweepChart points={pensionSweep} current={currentAnnualPension} />
+                </>
+              )}
+
+              {/* --- SENSITIVITY --- */}
+              <div className="section-header">Sensitivity ({isDaily ? 'Day Rate' : 'Turnover'} vs Monthly Pension)</div>
+              <div className="segmented-control">
+                <button className={`segment-btn ${sensitivityMetric === 'monthlyNet' ? 'active' : ''}`} onClick={() => setSensitivityMetric('monthlyNet')}>Net Monthly</button>
+                <button className={`segment-btn ${sensitivityMetric === 'totalValue' ? 'active' : ''}`} onClick={() => setSensitivityMetric('totalValue')}>Total Value</button>
+              </div>
+              <div className="controls-grid">
+                <div className="input-group">
+                  <label>{isDaily ? 'Day Rate' : 'Turnover'} From</label>
+                  <input type="number" value={sensitivityFrom} onChange={(e) => setSensitivityFrom(e.target.value)} placeholder="60% of current" />
+                </div>
+                <div className="input-group">
+                  <label>{isDaily ? 'Day Rate' : 'Turnover'} To</label>
+                  <input type="number" value={sensitivityTo} onChange={(e) => setSensitivityTo(e.target.value)} placeholder="140% of current" />
+                </div>
+                <div className="input-group">
+                  <label>Monthly Pension Up To</label>
+                  <input type="number" value={sensitivityPensionTo} onChange={(e) => setSensitivityPensionTo(e.target.value)} placeholder={String(DEFAULT_SENSITIVITY_PENSION)} />
+                </div>
+              </div>
+              {sensitivity ? (
+                <>
+                  <div style={{overflowX:'auto'}}>
+                    <table className="modern-table heatmap">
+                      <thead>
+                        <tr>
+                          <th>{isDaily ? 'Day Rate' : 'Turnover'}</th>
+                          {sensitivity.monthlyPensions.map(p => <th key={p} style={{textAlign:'right'}}>{formatCurrency(p)}</th>)}
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {sensitivity.rows.map((row, r) => (
+                          <tr key={r}>
+                            <td className="mono">{formatCurrency(sensitivity.rowValues[r])}</td>
+                            {row.cells.map(cell => {
+                              const shade = sensitivity.max > sensitivity.min ? (cell.value - sensitivity.min) / (sensitivity.max - sensitivity.min) : 0;
+                              const edges = `${cell.crossesMarginalRelief ? 'heat-edge-ct' : ''} ${cell.crossesHigherDividend ? 'heat-edge-div' : ''}`;
+                              return (
+                                <td key={cell.monthlyPension} className={`mono ${edges}`} style={{textAlign:'right', background: `color-mix(in srgb, var(--accent-success) ${Math.round(shade * 45)}%, transparent)`}}>
+                                  {formatCurrency(cell.value)}
+                                </td>
+                              );
+                            })}
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                  <div className="chart-legend">
+                    <span><span className="chart-swatch heat-edge-ct" />Profit crosses {formatCurrency(ctLowerLimit)} (marginal relief)</span>
+                    <span><span className="chart-swatch heat-edge-div" />Dividends reach the higher rate</span>
+                  </div>
+                </>
+              ) : (
+                <div className="insight-card" style={{marginTop:0}}>
+                  <span className="insight-icon">ℹ️</span>
+                  <div>Enter a {isDaily ? 'day rate' : 'turnover'} range, or a {isDaily ? 'day rate' : 'turnover'} above, to build the grid.</div>
+                </div>
+              )}
+
+              {/* --- MULTI-YEAR PLAN --- */}
+              <div className="section-header">
+                Multi-Year Plan (Retained Profits)
+                <button className="segment-btn" style={{float:'right', padding:'0 6px'}} onClick={addPlanYear}>+ Add Year</button>
+              </div>
+              {planRows.length === 0 ? (
+                <div className="insight-card" style={{marginTop:0}}>
+                  <span className="insight-icon">ℹ️</span>
+                  <div>Add years to plan retaining profit in the company in high-income years and drawing it as dividends later. Each year starts from your current inputs.</div>
+                </div>
+              ) : (
+                <table className="modern-table">
+                  <thead>
+                    <tr>
+                      <th>Year</th>
+                      <th>Turnover</th>
+                      <th>Expenses</th>
+                      <th>Pension</th>
+                      <th>Dividend Draw</th>
+                      <th style={{textAlign:'right'}}>Corp Tax</th>
+                      <th style={{textAlign:'right'}}>Div Tax</th>
+                      <th style={{textAlign:'right'}}>Net Annual</th>
+                      <th style={{textAlign:'right'}}>Retained</th>
+                      <th></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {planRows.map((row, i) => {
+                      const result = multiYearPlan.rows[i];
+                      return (
+                        <tr key={row.id}>
+                          <td>{result.label}</td>
+                          {['turnover', 'expenses', 'pension', 'dividend'].map(field => (
+                            <td key={field}>
+                              <input className="table-input" type="number" value={row[field]} onChange={(e) => updatePlanRow(row.id, field, e.target.value)} placeholder="0" />
+                            </td>
+                          ))}
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(result.ct)}</td>
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(result.dividendTax)}</td>
+                          <td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(result.annualNet)}</td>
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(result.closingRetained)}</td>
+                          <td><button className="segment-btn" onClick={() => setPlanRows(prev => prev.filter(r => r.id !== row.id))} title="Remove year">✕</button></td>
+                        </tr>
+                      );
+                    })}
+                    <tr className="highlight-row">
+                      <td>Total</td>
+                      <td className="mono">{formatCurrency(multiYearPlan.totals.turnover)}</td>
+                      <td></td>
+                      <td className="mono">{formatCurrency(multiYearPlan.totals.pension)}</td>
+                      <td className="mono">{formatCurrency(multiYearPlan.totals.dividend)}</td>
+                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(multiYearPlan.totals.ct)}</td>
+                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(multiYearPlan.totals.dividendTax)}</td>
+                      <td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(multiYearPlan.totals.annualNet)}</td>
+                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(multiYearPlan.totals.closingRetained)}</td>
+                      <td></td>
+                    </tr>
+                  </tbody>
+                </table>
+              )}
             </div>
           )}
 
           {/* TAB: OPTIMISE (NEW) */}
-          {activeTab === 'optimize' && (
+          {visibleTab === 'optimize' && (
              <div className="tab-pane">
                  <div className="section-header">
                    Efficiency Opportunities
                    <span style={{float:'right', color: 'var(--text-muted)', fontWeight:'normal'}}>Based on Marginal Rate: {(custom.marginalRate*100).toFixed(1)}%</span>
                  </div>
+                 {salaryOptimisation && (
+                   <div className="opt-card" style={{marginTop:'20px'}}>
+                     <div>
+                       <div className="opt-header">
+                         <div>
+                           <div className="opt-title">Optimal Salary / Dividend Split</div>
+                           <div className="opt-desc" style={{marginTop:'4px', marginBottom:0}}>
+                             Best split for your turnover, expenses and pension: a {formatCurrency(salaryOptimisation.best.salary)} salary with {formatCurrency(salaryOptimisation.best.afterCt)} paid as dividends.
+                           </div>
+                         </div>
+                         <div className="opt-icon">⚖️</div>
+                       </div>
+                       <table className="modern-table">
+                         <thead>
+                           <tr>
+                             <th>Split</th>
+                             <th style={{textAlign:'right'}}>Salary</th>
+                             <th style={{textAlign:'right'}}>Dividends</th>
+                             <th style={{textAlign:'right'}}>Net Annual</th>
+                             <th style={{textAlign:'right'}}>vs Current</th>
+                           </tr>
+                         </thead>
+                         <tbody>
+                           {[salaryOptimisation.best, ...salaryOptimisation.runnersUp].map((r, i) => (
+                             <tr key={r.salary} className={i === 0 ? 'highlight-row' : ''}>
+                               <td>{i === 0 ? 'Optimal' : `Alternative ${i}`}</td>
+                               <td className="mono" style={{textAlign:'right'}}>{formatCurrency(r.salary)}</td>
+                               <td className="mono" style={{textAlign:'right'}}>{formatCurrency(r.afterCt)}</td>
+                               <td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(r.annualNet)}</td>
+                               <td className="mono" style={{textAlign:'right'}}>{r.annualNet - custom.annualNet >= 0 ? '+' : '-'}{formatCurrency(Math.abs(r.annualNet - custom.annualNet))}</td>
+                             </tr>
+                           ))}
+                           <tr className="info-row">
+                             <td>Current Setup</td>
+                             <td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.salary)}</td>
+                             <td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.afterCt)}</td>
+                             <td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.annualNet)}</td>
+                             <td className="mono" style={{textAlign:'right'}}>–</td>
+                           </tr>
+                         </tbody>
+                       </table>
+                     </div>
+                     {salaryOptimisation.best.salary !== custom.salary && (
+                       <button className="opt-btn" onClick={() => {
+                         setSalary(String(salaryOptimisation.best.salary));
+                         setActiveTab('comparison');
+                       }}>
+                         Apply {formatCurrency(salaryOptimisation.best.salary)} Salary
+                       </button>
+                     )}
+                   </div>
+                 )}
                  <div className="opt-grid">
                     {strategies.map(s => (
-                       <div key={s.id} className="opt-card">
+                       <div key={s.id} className="opt-card" role="region" aria-label={s.title}>
                           <div>
                             <div className="opt-header">
                                <div>
@@ -695,18 +1570,35 @@ export default function App() {
                             </div>
                             <div style={{borderTop:'1px solid var(--border)', paddingTop:'12px', marginTop:'12px'}}>
                                <div className="opt-sub">{s.subtext}</div>
-                               <div className="opt-value">+{formatCurrency(s.value)}</div>
+                               <div className="opt-value">{s.value < 0 ? '-' : '+'}{formatCurrency(Math.abs(s.value))}</div>
+                            </div>
+                            <div className="opt-params">
+                               {s.params.map(param => (
+                                  <label key={param.key}>
+                                     {param.label}
+                                     <input
+                                        className="table-input"
+                                        type="number"
+                                        value={strategyParams[`${s.id}.${param.key}`] ?? ''}
+                                        onChange={(e) => setStrategyParams(prev => ({ ...prev, [`${s.id}.${param.key}`]: e.target.value }))}
+                                        placeholder={String(Math.round(param.default))}
+                                        aria-label={`${s.title}: ${param.label}`}
+                                     />
+                                  </label>
+                               ))}
                             </div>
+                            {s.warning && (
+                               <div className="opt-desc" style={{color:'var(--accent-warning)', marginTop:'8px', marginBottom:0}}>⚠️ {s.warning}</div>
+                            )}
                           </div>
                           {s.canApply && (
-                             <button className="opt-btn" onClick={() => {
-                                if(isDayRate) setMonthlyPension(Math.round(s.applyValue/12)); 
-                                else setAnnualPension(Math.round(s.applyValue));
-                                setActiveTab('comparison');
-                             }}>
+                             <button className="opt-btn" onClick={() => applyStrategy(s.id, s.changes)}>
                                 Apply to Calculator
                              </button>
                           )}
+                          {s.applied && (
+                             <div className="opt-sub" style={{marginTop:'12px'}}>✓ Applied to your expenses ledger</div>
+                          )}
                        </div>
                     ))}
                  </div>
@@ -720,17 +1612,43 @@ export default function App() {
           )}
 
           {/* TAB: BREAKDOWN */}
-          {activeTab === 'breakdown' && (
+          {visibleTab === 'breakdown' && (
             <div className="tab-pane">
               <div className="section-header">Inputs</div>
               <table className="modern-table">
                  <tbody>
-                  {isDayRate && (
+                  {isTargetNet && (
+                    <tr><td>Target Annual Net</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(parseFloat(targetAnnualNet)||0)}</td></tr>
+                  )}
+                  {isContracts && (
                     <>
-                      <tr><td>Total Working Days Available</td><td className="mono" style={{textAlign:'right'}}>{TOTAL_DAYS}</td></tr>
+                      {contractSummary.rows.map((row, i) => (
+                        <tr key={row.id}>
+                          <td>
+                            {row.client || `Contract ${i + 1}`}: {row.running ? `${row.start} to ${row.end}` : 'outside this tax year'}
+                            <br/><small style={{color:'var(--text-muted)'}}>{row.days} days at {formatCurrency(row.dailyRate)}{row.daysPerWeek !== 5 ? `, ${row.daysPerWeek} days/week` : ''}{row.holidays > 0 ? `, less ${row.holidays} holidays` : ''}</small>
+                          </td>
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.turnover)}</td>
+                        </tr>
+                      ))}
+                      <tr><td>Actual Days Worked</td><td className="mono" style={{textAlign:'right', fontWeight:'bold'}}>{workingDays}</td></tr>
+                      <tr><td>Average Daily Rate</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(contractSummary.averageDayRate)}</td></tr>
+                    </>
+                  )}
+                  {isDaily && !isContracts && (
+                    <>
+                      <tr><td>Weekdays ({calendar.start} to {calendar.end})</td><td className="mono" style={{textAlign:'right'}}>{calendar.weekdays}</td></tr>
+                      <tr><td>Less: {BANK_HOLIDAY_REGIONS[holidayRegion]} Bank Holidays</td><td className="mono" style={{textAlign:'right'}}>-{calendar.bankHolidays.length}</td></tr>
+                      {(daysPerWeek !== '' && parseFloat(daysPerWeek) !== 5) && (
+                        <tr className="info-row"><td>Scaled to {parseFloat(daysPerWeek) || 0} Days per Week</td><td className="mono" style={{textAlign:'right'}}>{calendar.workingDays + calendar.leaveDays}</td></tr>
+                      )}
+                      {calendar.leaveDays > 0 && (
+                        <tr><td>Less: Booked Leave</td><td className="mono" style={{textAlign:'right'}}>-{calendar.leaveDays}</td></tr>
+                      )}
+                      <tr><td>Total Working Days Available</td><td className="mono" style={{textAlign:'right'}}>{calendar.workingDays}</td></tr>
                       <tr><td>Holidays Taken</td><td className="mono" style={{textAlign:'right'}}>{holidays || 0}</td></tr>
                       <tr><td>Actual Days Worked</td><td className="mono" style={{textAlign:'right', fontWeight:'bold'}}>{workingDays}</td></tr>
-                      <tr><td>Daily Rate</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(parseFloat(dailyRate)||0)}</td></tr>
+                      <tr><td>{isTargetNet ? 'Required Daily Rate' : 'Daily Rate'}</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(isTargetNet ? requiredDayRate : parseFloat(dailyRate)||0)}</td></tr>
                     </>
                   )}
                   <tr>
@@ -740,22 +1658,70 @@ export default function App() {
                  </tbody>
               </table>
 
+              {isContracts && (
+                <>
+                  <div className="section-header">Bench Time</div>
+                  <table className="modern-table">
+                    <tbody>
+                      {contractSummary.gaps.length === 0 ? (
+                        <tr><td colSpan={2}>No gaps: a contract runs on every working day of {rules.label}</td></tr>
+                      ) : contractSummary.gaps.map(gap => (
+                        <tr key={gap.start}>
+                          <td>{gap.start} to {gap.end}</td>
+                          <td className="mono" style={{textAlign:'right'}}>{gap.workingDays} days</td>
+                        </tr>
+                      ))}
+                      <tr className="highlight-row"><td>Total Bench Days</td><td className="mono" style={{textAlign:'right'}}>{contractSummary.benchDays}</td></tr>
+                      <tr className="info-row">
+                        <td>Turnover if Filled at {formatCurrency(contractSummary.averageDayRate)}/day</td>
+                        <td className="mono" style={{textAlign:'right'}}>{formatCurrency(contractSummary.benchDays * contractSummary.averageDayRate)}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                </>
+              )}
+
               <div className="section-header">Company Calculations</div>
               <table className="modern-table">
                 <tbody>
                   <tr><td>Annual Turnover</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.turnover)}</td></tr>
-                  <tr><td>Less: Director Salary</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(SALARY)}</td></tr>
+                  {custom.vat.scheme !== 'none' && (
+                    <>
+                      <tr className="info-row"><td>VAT Charged @ {formatPercentage(rules.vat.standardRate)}</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.vat.vatCharged)}</td></tr>
+                      <tr className="info-row">
+                        <td>{custom.vat.scheme === 'flatRate'
+                          ? `VAT Payable @ ${formatPercentage(custom.vat.flatRate)} Flat Rate of ${formatCurrency(custom.vat.grossTurnover)}`
+                          : 'VAT Payable (Before Reclaiming VAT on Purchases)'}</td>
+                        <td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.vat.vatPayable)}</td>
+                      </tr>
+                    </>
+                  )}
+                  {custom.vat.scheme === 'flatRate' && (
+                    <tr><td>Add: Flat Rate VAT Surplus</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.vat.flatRateSurplus)}</td></tr>
+                  )}
+                  <tr><td>Less: Director Salary</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.salary)}</td></tr>
                   <tr><td>Less: Employer NI</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.employerNI)}</td></tr>
                   <tr><td>Less: Employer Pension</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.pension)}</td></tr>
-                  <tr><td>Less: Expenses</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.yearlyExpenses)}</td></tr>
+                  {expenseLedger.categories.length === 0 ? (
+                    <tr><td>Less: Expenses</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.yearlyExpenses)}</td></tr>
+                  ) : expenseLedger.categories.map(({ category, label, annualCost, deduction }) => (
+                    <tr key={category}>
+                      <td>
+                        Less: {label}
+                        {category === 'equipment' && <small style={{color:'var(--text-muted)'}}> (capital allowances on {formatCurrency(annualCost)})</small>}
+                        {category === 'mileage' && <small style={{color:'var(--text-muted)'}}> ({expenseLedger.miles.toLocaleString('en-GB')} miles at HMRC rates)</small>}
+                      </td>
+                      <td className="mono" style={{textAlign:'right'}}>-{formatCurrency(deduction)}</td>
+                    </tr>
+                  ))}
                   <tr className="highlight-row">
                     <td>Taxable Company Profit</td>
                     <td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.profit)}</td>
                   </tr>
-                  {custom.profit > 50000 && (
+                  {custom.profit > ctLowerLimit && (
                      <tr className="info-row">
-                        <td>Corporation Tax @ 25% (Comparison Only)</td>
-                        <td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.profit * 0.25)}</td>
+                        <td>Corporation Tax @ {ctMainRate*100}% (Comparison Only)</td>
+                        <td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.profit * ctMainRate)}</td>
                      </tr>
                   )}
                   <tr>
@@ -772,10 +1738,17 @@ export default function App() {
               <div className="section-header">Personal Taxation</div>
               <table className="modern-table">
                 <tbody>
-                   <tr><td>Director Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(SALARY)}</td></tr>
-                   <tr><td>Income Tax</td><td className="mono" style={{textAlign:'right'}}>£0</td></tr>
-                   <tr><td>Employee NI</td><td className="mono" style={{textAlign:'right'}}>£0</td></tr>
-                   <tr className="highlight-row"><td>Net Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(SALARY)}</td></tr>
+                   <tr><td>Director Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.salary)}</td></tr>
+                   <tr><td>Personal Allowance</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.personalAllowance)}</td></tr>
+                   {custom.incomeTaxBands.bands.filter(band => band.amount > 0).map(band => (
+                     <tr key={band.name} className="info-row">
+                       <td>{band.name.charAt(0).toUpperCase() + band.name.slice(1)} Rate @ {band.rate*100}% on {formatCurrency(band.amount)}</td>
+                       <td className="mono" style={{textAlign:'right'}}>-{formatCurrency(band.tax)}</td>
+                     </tr>
+                   ))}
+                   <tr><td>Income Tax{residency === 'scotland' ? ' (Scottish Rates)' : ''}</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.incomeTax)}</td></tr>
+                   <tr><td>Employee NI</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.employeeNI)}</td></tr>
+                   <tr className="highlight-row"><td>Net Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.netSalary)}</td></tr>
                 </tbody>
               </table>
 
@@ -783,20 +1756,51 @@ export default function App() {
               <table className="modern-table">
                 <tbody>
                    <tr><td>Dividend Available</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.afterCt)}</td></tr>
-                   <tr><td>Dividend Allowance</td><td className="mono" style={{textAlign:'right'}}>£500</td></tr>
+                   <tr><td>Adjusted Net Income (Salary + Dividends)</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.adjustedNetIncome)}</td></tr>
+                   {custom.allowanceLost > 0 && (
+                     <>
+                       <tr><td>Personal Allowance Lost (£1 per £2 over {formatCurrency(rules.incomeTax.taperThreshold)})</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.allowanceLost)}</td></tr>
+                       <tr className="info-row"><td>Extra Tax from Allowance Taper (60% trap)</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.taperCost)}</td></tr>
+                     </>
+                   )}
+                   {custom.allowanceDiv > 0 && (
+                     <tr><td>Covered by Unused Personal Allowance</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.allowanceDiv)}</td></tr>
+                   )}
+                   <tr><td>Dividend Allowance</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(rules.dividends.allowance)}</td></tr>
                    <tr><td>Taxable in Basic Band</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.basicDiv)}</td></tr>
                    <tr><td>Basic Tax @ {(custom.BASIC_DIV*100).toFixed(2)}%</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.basicTax)}</td></tr>
                    <tr><td>Taxable in Higher Band</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.higherDiv)}</td></tr>
                    <tr><td>Higher Tax @ {(custom.HIGHER_DIV*100).toFixed(2)}%</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.higherTax)}</td></tr>
+                   {custom.additionalDiv > 0 && (
+                     <>
+                       <tr><td>Taxable in Additional Band</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.additionalDiv)}</td></tr>
+                       <tr><td>Additional Tax @ {(custom.ADDITIONAL_DIV*100).toFixed(2)}%</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.additionalTax)}</td></tr>
+                     </>
+                   )}
                    <tr className="highlight-row"><td>Total Dividend Tax</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(custom.totalDivTax)}</td></tr>
                    <tr className="highlight-row"><td>Net Dividend</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.netDiv)}</td></tr>
                 </tbody>
               </table>
 
+              <div className="section-header no-print">Turnover to Net Cash</div>
+              <WaterfallChart
+                steps={[
+                  { label: 'Turnover', value: custom.turnover },
+                  ...(vatScheme === 'flatRate' ? [{ label: 'VAT Surplus', value: custom.vat.flatRateSurplus }] : []),
+                  { label: 'Employer NI', value: -custom.employerNI },
+                  { label: 'Pension', value: -custom.pension },
+                  { label: 'Expenses', value: -custom.yearlyExpenses },
+                  { label: 'Corp. Tax', value: -custom.ct },
+                  { label: 'Salary Tax & NI', value: -(custom.incomeTax + custom.employeeNI) },
+                  { label: 'Dividend Tax', value: -custom.totalDivTax }
+                ]}
+                total={{ label: 'Net Cash', value: custom.annualNet }}
+              />
+
               <div className="section-header">Final Summary</div>
               <table className="modern-table">
                 <tbody>
-                   <tr><td>Net Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(SALARY)}</td></tr>
+                   <tr><td>Net Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.netSalary)}</td></tr>
                    <tr><td>Net Dividend</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.netDiv)}</td></tr>
                    <tr className="highlight-row"><td>Total Annual Net (Cash)</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.annualNet)}</td></tr>
                    <tr className="highlight-row"><td>Total Monthly Net (Cash)</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.monthlyNet)}</td></tr>
@@ -810,6 +1814,8 @@ export default function App() {
                 <tbody>
                   <tr><td>Corporation Tax</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.ct)}</td></tr>
                   <tr><td>Employer NI</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.employerNI)}</td></tr>
+                  <tr><td>Income Tax</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.incomeTax)}</td></tr>
+                  <tr><td>Employee NI</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.employeeNI)}</td></tr>
                   <tr><td>Dividend Tax</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.totalDivTax)}</td></tr>
                   <tr className="highlight-row"><td>Total Tax & NI</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(custom.totalTax)}</td></tr>
                   <tr className="highlight-row"><td>Effective Tax Rate</td><td className="mono" style={{textAlign:'right'}}>{formatPercentage(custom.effectiveTaxRate)}</td></tr>
@@ -819,7 +1825,7 @@ export default function App() {
           )}
 
           {/* TAB: PENSION */}
-          {activeTab === 'pension' && (
+          {visibleTab === 'pension' && (
             <div className="tab-pane">
               <div className="controls-grid">
                 <div className="input-group">
@@ -834,29 +1840,339 @@ export default function App() {
                   <label>Growth %</label>
                   <input type="number" value={pensionGrowth} onChange={(e) => setPensionGrowth(e.target.value)} placeholder="5" />
                 </div>
+                <div className="input-group">
+                  <label>Retirement Age</label>
+                  <input type="number" value={retirementAge} onChange={(e) => setRetirementAge(e.target.value)} placeholder="25 years" />
+                </div>
+                <div className="input-group">
+                  <label>Contribution Increase %/yr</label>
+                  <input type="number" value={contributionEscalation} onChange={(e) => setContributionEscalation(e.target.value)} placeholder="0" />
+                </div>
+                <div className="input-group">
+                  <label>Platform Fee %</label>
+                  <input type="number" value={platformFee} onChange={(e) => setPlatformFee(e.target.value)} placeholder="0" />
+                </div>
+                <div className="input-group">
+                  <label>Fund Fee %</label>
+                  <input type="number" value={fundFee} onChange={(e) => setFundFee(e.target.value)} placeholder="0" />
+                </div>
+                <div className="input-group">
+                  <label>Inflation %</label>
+                  <input type="number" value={inflationRate} onChange={(e) => setInflationRate(e.target.value)} placeholder="0" />
+                  <small>Shows the pot in today's money</small>
+                </div>
+                <div className="input-group">
+                  <label>Milestones</label>
+                  <input type="text" value={pensionMilestones} onChange={(e) => setPensionMilestones(e.target.value)} placeholder="250000, 500000, 1000000" />
+                  <small>Comma-separated pot values to highlight</small>
+                </div>
+              </div>
+
+              <div className="section-header">Annual Allowance ({rules.label})</div>
+              <div className="controls-grid">
+                {pensionAllowance.carryForward.map((year, i) => (
+                  <div className="input-group" key={year.taxYear}>
+                    <label>Contributed {year.label}</label>
+                    <input type="number" value={priorPensions[i]} onChange={(e) => {
+                      const value = e.target.value;
+                      setPriorPensions(prev => prev.map((v, j) => j === i ? value : v));
+                    }} placeholder="0" />
+                    <small>Allowance {formatCurrency(year.allowance)} · Unused {formatCurrency(year.unused)}</small>
+                  </div>
+                ))}
+              </div>
+              <table className="modern-table">
+                <tbody>
+                  <tr><td>Threshold Income (Salary + Dividends)</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.thresholdIncome)}</td></tr>
+                  <tr><td>Adjusted Income (incl. Employer Pension)</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.adjustedIncome)}</td></tr>
+                  <tr><td>Annual Allowance{pensionAllowance.tapered ? ' (Tapered)' : ''}</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.annualAllowance)}</td></tr>
+                  <tr><td>Carry-Forward Available</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.available - pensionAllowance.annualAllowance)}</td></tr>
+                  <tr className="highlight-row"><td>Total Available</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.available)}</td></tr>
+                  <tr><td>This Year's Contribution</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.contribution)}</td></tr>
+                  {pensionAllowance.excess > 0 ? (
+                    <>
+                      <tr className="gold-row"><td>Excess Over Allowance</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.excess)}</td></tr>
+                      <tr className="gold-row"><td>Annual Allowance Charge</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(pensionAllowance.charge)}</td></tr>
+                    </>
+                  ) : (
+                    <tr className="info-row"><td>Remaining Headroom</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(pensionAllowance.headroom)}</td></tr>
+                  )}
+                </tbody>
+              </table>
+              <div className="insight-card">
+                <span className="insight-icon">ℹ️</span>
+                <div>
+                  Carry-forward only applies to years you were a member of a registered pension scheme. This year's allowance is used first, then the earliest unused year.
+                </div>
               </div>
 
               <div className="section-header">Projection (Contributing {formatCurrency(currentAnnualPension)}/yr)</div>
+              <div className="segmented-control">
+                <button className={`segment-btn ${projectionMode === 'fixed' ? 'active' : ''}`} onClick={() => setProjectionMode('fixed')}>Fixed Growth</button>
+                <button className={`segment-btn ${projectionMode === 'simulation' ? 'active' : ''}`} onClick={() => setProjectionMode('simulation')}>Simulation</button>
+              </div>
+              {projectionMode === 'simulation' && (
+                <>
+                  <div className="controls-grid">
+                    <div className="input-group">
+                      <label>Volatility %</label>
+                      <input type="number" value={volatility} onChange={(e) => setVolatility(e.target.value)} placeholder="15" />
+                      <small>Mean return is the Growth % above</small>
+                    </div>
+                    <div className="input-group">
+                      <label>Target Pot</label>
+                      <input type="number" value={targetPot} onChange={(e) => setTargetPot(e.target.value)} placeholder="0" />
+                    </div>
+                    <div className="input-group">
+                      <label>Simulations</label>
+                      <input type="number" value={simulationCount} onChange={(e) => setSimulationCount(e.target.value)} placeholder={String(MAX_SIMULATIONS)} />
+                      <small>Up to {MAX_SIMULATIONS.toLocaleString('en-GB')}</small>
+                    </div>
+                    <div className="input-group">
+                      <label>Seed</label>
+                      <input type="number" value={simulationSeed} onChange={(e) => setSimulationSeed(e.target.value)} placeholder="1" />
+                      <small>The same seed always gives the same paths</small>
+                    </div>
+                  </div>
+                  {simulation && (
+                    <>
+                      {simulation.probability !== null && (
+                        <div className="insight-card">
+                          <span className="insight-icon">🎯</span>
+                          <div>
+                            <strong>{formatPercentage(simulation.probability)}</strong> chance of reaching {formatCurrency(debouncedSimulationInputs.targetPot)} by {simulation.rows.length > 0 ? simulation.rows[simulation.rows.length - 1].age + 1 : '–'}.
+                          </div>
+                        </div>
+                      )}
+                      <table className="modern-table">
+                        <thead>
+                          <tr>
+                            <th>Age</th>
+                            <th style={{textAlign:'right'}}>10th Percentile</th>
+                            <th style={{textAlign:'right'}}>Median</th>
+                            <th style={{textAlign:'right'}}>90th Percentile</th>
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {simulation.rows.map((row) => (
+                            <tr key={row.year}>
+                              <td>{row.age}</td>
+                              <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.p10)}</td>
+                              <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.p50)}</td>
+                              <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.p90)}</td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </>
+                  )}
+                </>
+              )}
+              {projectionMode === 'fixed' && (
+                <>
+                  <PensionAreaChart data={projectionData} startBalance={pensionSchedule.startBalance} />
+                  <table className="modern-table">
+                    <thead>
+                      <tr>
+                        <th>Age</th>
+                        <th style={{textAlign:'right'}}>Contribution</th>
+                        <th style={{textAlign:'right'}}>Growth</th>
+                        <th style={{textAlign:'right'}}>Fees</th>
+                        <th style={{textAlign:'right'}}>Total Pot</th>
+                        <th style={{textAlign:'right'}}>Today's Money</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {projectionData.map((row) => (
+                        <tr key={row.year} className={row.milestones.length > 0 ? 'gold-row' : ''}>
+                          <td>{row.age}{row.milestones.length > 0 && <small> · {row.milestones.map(m => formatCurrency(m)).join(', ')}</small>}</td>
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.contrib)}</td>
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.growth)}</td>
+                          <td className="mono" style={{textAlign:'right'}}>-{formatCurrency(row.fees)}</td>
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.end)}</td>
+                          <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.realEnd)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </>
+              )}
+
+              <div className="section-header">Drawdown at {drawdown.retirementAge}</div>
+              <div className="controls-grid">
+                <div className="input-group">
+                  <label>Withdrawal Rate %</label>
+                  <input type="number" value={withdrawalRate} onChange={(e) => setWithdrawalRate(e.target.value)} placeholder="4" />
+                  <small>Share of the remaining pot drawn each year</small>
+                </div>
+                <div className="input-group">
+                  <label>Other Retirement Income</label>
+                  <input type="number" value={retirementIncome} onChange={(e) => setRetirementIncome(e.target.value)} placeholder="0" />
+                  <small>State pension and other taxable income</small>
+                </div>
+              </div>
+              <table className="modern-table">
+                <tbody>
+                  <tr><td>Pot at Retirement</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(drawdown.pot)}</td></tr>
+                  <tr className="highlight-row"><td>Tax-Free Lump Sum</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(drawdown.lumpSum)}</td></tr>
+                  <tr><td>Remaining in Drawdown</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(drawdown.drawdownPot)}</td></tr>
+                  <tr><td>Annual Withdrawal</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(drawdown.annualWithdrawal)}</td></tr>
+                  <tr><td>Income Tax on Withdrawal</td><td className="mono" style={{textAlign:'right'}}>-{formatCurrency(drawdown.incomeTax)}</td></tr>
+                  <tr className="highlight-row"><td>Net Annual Income</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(drawdown.netWithdrawal)}</td></tr>
+                  <tr><td>Net Monthly Income</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(drawdown.monthlyNet)}</td></tr>
+                  <tr className="info-row"><td>Net Annual Income (Today's Money)</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(drawdown.netWithdrawal * drawdown.deflator)}</td></tr>
+                </tbody>
+              </table>
+              <div className="insight-card">
+                <span className="insight-icon">ℹ️</span>
+                <div>
+                  Assumes {rules.label} tax bands in retirement. The tax-free lump sum is {formatPercentage(rules.pensionDrawdown.taxFreeFraction)} of the pot, capped at {formatCurrency(rules.pensionDrawdown.lumpSumAllowance)}.
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* TAB: IR35 */}
+          {visibleTab === 'ir35' && (
+            <div className="tab-pane">
+              <div className="controls-grid">
+                <div className="input-group">
+                  <label>Umbrella Margin (per week)</label>
+                  <input type="number" value={umbrellaMargin} onChange={(e) => setUmbrellaMargin(e.target.value)} placeholder={String(DEFAULT_UMBRELLA_MARGIN)} />
+                  <small>Deducted 52 weeks a year before employer NI and levy</small>
+                </div>
+              </div>
+
+              <div className="section-header">Inside vs Outside IR35 ({formatCurrency(currentTurnover)} turnover{isDaily ? `, ${workingDays} days` : ''})</div>
               <table className="modern-table">
                 <thead>
                   <tr>
-                    <th>Age</th>
-                    <th style={{textAlign:'right'}}>Contribution</th>
-                    <th style={{textAlign:'right'}}>Growth</th>
-                    <th style={{textAlign:'right'}}>Total Pot</th>
+                    <th></th>
+                    <th style={{textAlign:'right'}}>Outside (Ltd)</th>
+                    <th style={{textAlign:'right'}}>Inside – Umbrella</th>
+                    <th style={{textAlign:'right'}}>Inside – Deemed Payment</th>
                   </tr>
                 </thead>
                 <tbody>
-                  {projectionData.map((row) => (
-                    <tr key={row.year} className={row.isMillionRow ? 'gold-row' : ''}>
-                      <td>{row.age}</td>
-                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.contrib)}</td>
-                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.growth)}</td>
-                      <td className="mono" style={{textAlign:'right'}}>{formatCurrency(row.end)}</td>
+                  {[
+                    { label: 'Employment Income', values: [custom.salary, ir35.umbrella.grossSalary, ir35.deemed.salary] },
+                    { label: 'Umbrella Margin', values: [0, ir35.umbrella.umbrellaMargin, 0], negative: true },
+                    { label: 'Employer NI', values: [custom.employerNI, ir35.umbrella.employerNI, ir35.deemed.employerNI], negative: true },
+                    { label: 'Apprenticeship Levy', values: [0, ir35.umbrella.apprenticeshipLevy, 0], negative: true },
+                    { label: 'Corporation Tax', values: [custom.ct, 0, ir35.deemed.ct], negative: true },
+                    { label: 'Income Tax', values: [custom.incomeTax, ir35.umbrella.incomeTax, ir35.deemed.incomeTax], negative: true },
+                    { label: 'Employee NI', values: [custom.employeeNI, ir35.umbrella.employeeNI, ir35.deemed.employeeNI], negative: true },
+                    { label: 'Dividend Tax', values: [custom.totalDivTax, 0, ir35.deemed.totalDivTax], negative: true },
+                  ].map(row => (
+                    <tr key={row.label}>
+                      <td>{row.label}</td>
+                      {row.values.map((v, i) => (
+                        <td key={i} className="mono" style={{textAlign:'right'}}>{row.negative && v > 0 ? '-' : ''}{formatCurrency(v)}</td>
+                      ))}
                     </tr>
                   ))}
+                  <tr className="highlight-row">
+                    <td>Net Annual</td>
+                    {[custom, ir35.umbrella, ir35.deemed].map((r, i) => (
+                      <td key={i} className="mono accent" style={{textAlign:'right'}}>{formatCurrency(r.annualNet)}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Net Monthly</td>
+                    {[custom, ir35.umbrella, ir35.deemed].map((r, i) => (
+                      <td key={i} className="mono" style={{textAlign:'right'}}>{formatCurrency(r.monthlyNet)}</td>
+                    ))}
+                  </tr>
+                  <tr className="highlight-row">
+                    <td>Total Value (incl. Pension)</td>
+                    {[custom, ir35.umbrella, ir35.deemed].map((r, i) => (
+                      <td key={i} className="mono" style={{textAlign:'right'}}>{formatCurrency(r.totalValue)}</td>
+                    ))}
+                  </tr>
+                  <tr>
+                    <td>Effective Tax Rate</td>
+                    {[custom, ir35.umbrella, ir35.deemed].map((r, i) => (
+                      <td key={i} className="mono" style={{textAlign:'right'}}>{formatPercentage(r.effectiveTaxRate)}</td>
+                    ))}
+                  </tr>
+                  <tr className="info-row">
+                    <td>Net Annual vs Outside</td>
+                    {[custom, ir35.umbrella, ir35.deemed].map((r, i) => (
+                      <td key={i} className="mono" style={{textAlign:'right'}}>{i === 0 ? '–' : `${r.annualNet - custom.annualNet >= 0 ? '+' : '-'}${formatCurrency(Math.abs(r.annualNet - custom.annualNet))}`}</td>
+                    ))}
+                  </tr>
                 </tbody>
               </table>
+              <div className="insight-card">
+                <span className="insight-icon">ℹ️</span>
+                <div>
+                  <strong>Deemed payment:</strong> everything except a {formatPercentage(rules.ir35.deemedPaymentAllowance)} expenses allowance is paid out as salary through your company's payroll, so only that allowance is left for Corporation Tax and dividends.
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* TAB: PERM EQUIVALENT */}
+          {visibleTab === 'perm' && (
+            <div className="tab-pane">
+              <div className="segmented-control">
+                <button className={`segment-btn ${permMatch === 'annualNet' ? 'active' : ''}`} onClick={() => setPermMatch('annualNet')}>Match Take-Home</button>
+                <button className={`segment-btn ${permMatch === 'totalValue' ? 'active' : ''}`} onClick={() => setPermMatch('totalValue')}>Match Total Value</button>
+              </div>
+              <div className="controls-grid">
+                <div className="input-group">
+                  <label>Employer Pension %</label>
+                  <input type="number" value={permPensionRate} onChange={(e) => setPermPensionRate(e.target.value)} placeholder="0" />
+                </div>
+                <div className="input-group">
+                  <label>Benefits Value (per year)</label>
+                  <input type="number" value={permBenefits} onChange={(e) => setPermBenefits(e.target.value)} placeholder="0" />
+                  <small>Health cover, car, bonus etc. Counted in Total Value only</small>
+                </div>
+                <div className="input-group">
+                  <label>Perm Salary Offer</label>
+                  <input type="number" value={permOffer} onChange={(e) => setPermOffer(e.target.value)} placeholder="0" />
+                </div>
+              </div>
+
+              <div className="section-header">Perm Salary Matching Your Contract</div>
+              <div className="stat-grid">
+                <div className="stat-card primary">
+                  <div className="stat-label">Equivalent Gross Salary</div>
+                  <div className="stat-value">{formatCurrency(perm.equivalent.grossSalary)}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Perm Net Annual</div>
+                  <div className="stat-value">{formatCurrency(perm.equivalent.annualNet)}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Perm Total Value</div>
+                  <div className="stat-value">{formatCurrency(perm.equivalent.totalValue)}</div>
+                </div>
+                <div className="stat-card">
+                  <div className="stat-label">Contract {permMatch === 'annualNet' ? 'Net Annual' : 'Total Value'}</div>
+                  <div className="stat-value">{formatCurrency(custom[permMatch])}</div>
+                </div>
+              </div>
+
+              <div className="section-header">Day Rate Matching a Perm Offer ({contractDays} days)</div>
+              {perm.dayRate ? (
+                <table className="modern-table">
+                  <tbody>
+                    <tr><td>Perm Gross Salary</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(perm.dayRate.perm.grossSalary)}</td></tr>
+                    <tr><td>Perm Net Annual</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(perm.dayRate.perm.annualNet)}</td></tr>
+                    <tr><td>Perm Employer Pension + Benefits</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(perm.dayRate.perm.employerPension + perm.dayRate.perm.benefitsValue)}</td></tr>
+                    <tr className="highlight-row"><td>Required Day Rate</td><td className="mono accent" style={{textAlign:'right'}}>{formatCurrency(perm.dayRate.dayRate)}</td></tr>
+                    <tr><td>Required Annual Turnover</td><td className="mono" style={{textAlign:'right'}}>{formatCurrency(perm.dayRate.turnover)}</td></tr>
+                    <tr className="info-row"><td>Your Current Day Rate</td><td className="mono" style={{textAlign:'right'}}>{contractDays > 0 ? formatCurrency(currentTurnover / contractDays) : '–'}</td></tr>
+                  </tbody>
+                </table>
+              ) : (
+                <div className="insight-card" style={{marginTop:0}}>
+                  <span className="insight-icon">ℹ️</span>
+                  <div>Enter a perm salary offer to see the day rate you would need to match it.</div>
+                </div>
+              )}
             </div>
           )}
 
@@ -865,3 +2181,48 @@ export default function App() {
     </>
   );
 }
+
+export default function App() {
+  // A shared link opens in its own profile so it never overwrites the recipient's numbers
+  const [initial] = useState(() => {
+    const store = loadProfileStore();
+    const { state, ignored } = decodeLinkState(window.location.search);
+    return {
+      store: Object.keys(state).length > 0 ? createProfile(store, 'Shared Link', state) : store,
+      ignored
+    };
+  });
+  const [profileStore, setProfileStore] = useState(initial.store);
+  const activeProfile = getActiveProfile(profileStore);
+
+  useEffect(() => {
+    saveProfileStore(profileStore);
+  }, [profileStore]);
+
+  // The link has been copied into a profile; drop it from the address bar so a reload doesn't import it again
+  useEffect(() => {
+    if (window.location.search) {
+      window.history.replaceState(null, '', window.location.pathname + window.location.hash);
+    }
+  }, []);
+
+  const updateActiveState = useCallback((state) => {
+    setProfileStore(prev => updateProfileState(prev, prev.activeProfileId, state));
+  }, []);
+
+  // Imports open in a new profile, like shared links
+  const importProfile = (inputs, name) => {
+    setProfileStore(prev => createProfile(prev, name, inputs));
+  };
+
+  return (
+    <Calculator
+      key={activeProfile.id}
+      saved={activeProfile.state}
+      onStateChange={updateActiveState}
+      onImport={importProfile}
+      profileSwitcher={<ProfileSwitcher store={profileStore} onChange={setProfileStore} />}
+      ignoredLinkFields={activeProfile.id === initial.store.activeProfileId ? initial.ignored : []}
+    />
+  );
+}
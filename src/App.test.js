@@ -1,8 +1,205 @@
-import { render, screen } from '@testing-library/react';
+import { act, fireEvent, render, screen, waitFor, within } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+// Inputs persist to localStorage, so each test starts from a clean session
+beforeEach(() => localStorage.clear());
+
+test('renders the calculator heading', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: /contractor tax calculator/i })).toBeInTheDocument();
+});
+
+test('generates a tax year button per registered year', () => {
+  render(<App />);
+  expect(screen.getByRole('button', { name: '2025/26' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: '2026/27' })).toBeInTheDocument();
+});
+
+test('solves the day rate for a target net income', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Target Net' }));
+  // Target Net mode leads the input card with the monthly then annual target
+  const [monthlyInput, annualInput] = screen.getAllByRole('spinbutton');
+  fireEvent.change(annualInput, { target: { value: '60000' } });
+  expect(monthlyInput).toHaveValue(5000);
+  expect(screen.getByText('Required Day Rate')).toBeInTheDocument();
+  expect(screen.getAllByText('£60,000').length).toBeGreaterThan(0);
+});
+
+test('adds, renames and deletes comparison scenarios', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Scenario' }));
+  fireEvent.change(screen.getByDisplayValue('Scenario 5'), { target: { value: 'Max Pension' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Delete No Pension' }));
+  expect(screen.getByText('Max Pension')).toBeInTheDocument();
+  expect(screen.queryByText('No Pension')).not.toBeInTheDocument();
+});
+
+test('keeps separate inputs per profile', () => {
+  render(<App />);
+  fireEvent.change(screen.getAllByRole('spinbutton')[0], { target: { value: '650' } });
+  fireEvent.click(screen.getByRole('button', { name: 'New' }));
+  expect(screen.getAllByRole('spinbutton')[0]).toHaveValue(null);
+
+  fireEvent.change(screen.getByRole('combobox', { name: 'Profile' }), { target: { value: '1' } });
+  expect(screen.getAllByRole('spinbutton')[0]).toHaveValue(650);
+});
+
+test('opens a shared link in its own profile and ignores bad values', () => {
+  window.history.pushState(null, '', '/?incomeMode=annualTurnover&annualTurnover=90000&holidays=-4');
+  render(<App />);
+  expect(screen.getByRole('combobox', { name: 'Profile' })).toHaveDisplayValue('Shared Link');
+  expect(screen.getByDisplayValue('90000')).toBeInTheDocument();
+  expect(screen.getByText(/have been ignored: holidays/)).toBeInTheDocument();
+  expect(window.location.search).toBe('');
+});
+
+test('imports an exported file into a new profile and reports bad files', async () => {
+  render(<App />);
+  // The calculator remounts for the imported profile, so look the file input up each time
+  const fileInput = () => screen.getByLabelText(/import/i);
+  const doc = { format: 'contractor-tax-calculator', version: 1, inputs: { incomeMode: 'annualTurnover', annualTurnover: '95000' } };
+
+  fireEvent.change(fileInput(), { target: { files: [new File([JSON.stringify(doc)], 'contract-b.json')] } });
+  await waitFor(() => expect(screen.getByRole('combobox', { name: 'Profile' })).toHaveDisplayValue('contract-b'));
+  expect(screen.getByDisplayValue('95000')).toBeInTheDocument();
+
+  fireEvent.change(fileInput(), { target: { files: [new File(['not json'], 'broken.json')] } });
+  expect(await screen.findByText("Couldn't import broken.json:")).toBeInTheDocument();
+});
+
+test('prints the detailed breakdown with the report assumptions', () => {
+  render(<App />);
+  expect(screen.queryByText('Company Calculations')).not.toBeInTheDocument();
+  expect(screen.getByText(/^Report Assumptions · Generated/)).toBeInTheDocument();
+
+  act(() => { window.dispatchEvent(new Event('beforeprint')); });
+  ['Inputs', 'Company Calculations', 'Personal Taxation', 'Dividend Taxation', 'Final Summary', 'Tax Paid']
+    .forEach(section => expect(screen.getByText(section)).toBeInTheDocument());
+
+  act(() => { window.dispatchEvent(new Event('afterprint')); });
+  expect(screen.queryByText('Company Calculations')).not.toBeInTheDocument();
+});
+
+test('builds turnover from a list of contracts and shows the bench time between them', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Contracts' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Contract' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Contract' }));
+  const [first, second] = [0, 1].map(i => (label) => screen.getAllByLabelText(label)[i]);
+  fireEvent.change(first('Day Rate'), { target: { value: '500' } });
+  fireEvent.change(first('End'), { target: { value: '2025-09-30' } });
+  fireEvent.change(second('Day Rate'), { target: { value: '600' } });
+  fireEvent.change(second('Start'), { target: { value: '2025-11-01' } });
+
+  fireEvent.click(screen.getByRole('button', { name: /Detailed Breakdown/ }));
+  expect(screen.getByText('Bench Time')).toBeInTheDocument();
+  // October 2025 is the only gap: 23 weekdays with no bank holidays
+  expect(screen.getByText('2025-10-01 to 2025-10-31')).toBeInTheDocument();
+  expect(screen.getByText('23 days')).toBeInTheDocument();
+});
+
+test('shares Contracts mode with its contracts in the link', async () => {
+  const { unmount } = render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Contracts' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Contract' }));
+  fireEvent.change(screen.getByLabelText('Day Rate'), { target: { value: '550' } });
+  // jsdom has no clipboard, so the calculator shows the link to copy by hand
+  fireEvent.click(screen.getByRole('button', { name: 'Copy Link' }));
+  const link = await screen.findByText(/\?incomeMode=contracts/);
+  unmount();
+
+  localStorage.clear();
+  window.history.pushState(null, '', new URL(link.textContent).search);
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(screen.getByRole('combobox', { name: 'Profile' })).toHaveDisplayValue('Shared Link');
+  expect(screen.getByLabelText('Day Rate')).toHaveValue(550);
+  expect(screen.queryByText(/have been ignored/)).not.toBeInTheDocument();
+});
+
+test('adds the Flat Rate VAT surplus to company profit', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Annual Turnover' }));
+  fireEvent.change(screen.getAllByRole('spinbutton')[0], { target: { value: '100000' } });
+  fireEvent.change(screen.getByDisplayValue('Not Registered'), { target: { value: 'flatRate' } });
+  // 20% VAT on £100k, less 14.5% of the £120k VAT-inclusive turnover
+  expect(screen.getByText('Keeps £2,600 of the VAT charged as profit')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Detailed Breakdown/ }));
+  expect(screen.getByText('Add: Flat Rate VAT Surplus')).toBeInTheDocument();
+  expect(screen.getByText('VAT Payable @ 14.5% Flat Rate of £120,000')).toBeInTheDocument();
+  // The waterfall adds the surplus so its bars still sum to Net Cash
+  expect(screen.getByText('VAT Surplus: £2,600')).toBeInTheDocument();
+});
+
+test('itemises expenses and lists each category in the breakdown', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Expense' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Expense' }));
+  const [laptop, mileage] = screen.getAllByRole('row').filter(row => within(row).queryByLabelText('Category'));
+  fireEvent.change(within(laptop).getByLabelText('Category'), { target: { value: 'equipment' } });
+  fireEvent.change(within(laptop).getByLabelText('Amount'), { target: { value: '2000' } });
+  fireEvent.change(within(mileage).getByLabelText('Category'), { target: { value: 'mileage' } });
+  fireEvent.change(within(mileage).getByLabelText('Amount'), { target: { value: '1000' } });
+  // 1,000 business miles at 45p, deducted in full
+  expect(within(mileage).getAllByText('£450')).toHaveLength(2);
+
+  fireEvent.click(screen.getByRole('button', { name: /Detailed Breakdown/ }));
+  expect(screen.getByText('Less: Equipment')).toBeInTheDocument();
+  expect(screen.getByText('Less: Mileage')).toBeInTheDocument();
+});
+
+test('plans one-off expenses in the first year only', () => {
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Expense' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Expense' }));
+  const [laptop, software] = screen.getAllByRole('row').filter(row => within(row).queryByLabelText('Frequency'));
+  fireEvent.change(within(laptop).getByLabelText('Frequency'), { target: { value: 'oneOff' } });
+  fireEvent.change(within(laptop).getByLabelText('Amount'), { target: { value: '1500' } });
+  fireEvent.change(within(software).getByLabelText('Amount'), { target: { value: '400' } });
+
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Year' }));
+  fireEvent.click(screen.getByRole('button', { name: '+ Add Year' }));
+  expect(screen.getByDisplayValue('1900')).toBeInTheDocument();
+  expect(screen.getAllByDisplayValue('400')).toHaveLength(2);
+});
+
+test('turns the single expenses figure from an older link into a ledger line', () => {
+  window.history.pushState(null, '', '/?yearlyExpenses=3000');
+  render(<App />);
+  expect(screen.getByDisplayValue('3000')).toBeInTheDocument();
+  expect(screen.getByPlaceholderText('Other')).toHaveValue('Annual expenses');
+});
+
+test('customises an optimisation strategy and applies it to the expenses ledger', () => {
+  render(<App />);
+  fireEvent.change(screen.getByLabelText('Daily Rate'), { target: { value: '500' } });
+  fireEvent.click(screen.getByRole('button', { name: /Optimise/ }));
+  const party = within(screen.getByRole('region', { name: 'Annual Party' }));
+  fireEvent.change(party.getByLabelText('Annual Party: Guests incl. You'), { target: { value: '3' } });
+  expect(party.getByText(/Treat yourself and your guests/)).toBeInTheDocument();
+
+  fireEvent.click(party.getByRole('button', { name: 'Apply to Calculator' }));
+  expect(screen.getByDisplayValue('Annual staff event')).toBeInTheDocument();
+  expect(screen.getByDisplayValue('450')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /Optimise/ }));
+  const applied = within(screen.getByRole('region', { name: 'Annual Party' }));
+  expect(applied.getByText('✓ Applied to your expenses ledger')).toBeInTheDocument();
+  expect(applied.queryByRole('button', { name: 'Apply to Calculator' })).not.toBeInTheDocument();
+});
+
+test('runs the pension simulation once typing pauses', () => {
+  jest.useFakeTimers();
+  try {
+    render(<App />);
+    fireEvent.click(screen.getByRole('button', { name: /Pension Projection/ }));
+    fireEvent.click(screen.getByRole('button', { name: 'Simulation' }));
+    expect(screen.queryByRole('columnheader', { name: 'Median' })).not.toBeInTheDocument();
+
+    act(() => { jest.advanceTimersByTime(300); });
+    expect(screen.getByRole('columnheader', { name: 'Median' })).toBeInTheDocument();
+  } finally {
+    jest.useRealTimers();
+  }
 });
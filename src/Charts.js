@@ -0,0 +1,168 @@
+import React from 'react';
+import { formatCompactCurrency, formatCurrency, formatPercentage } from './engine';
+
+// All charts share one coordinate space and scale to their container through the viewBox
+const WIDTH = 640;
+const HEIGHT = 260;
+const PAD = { top: 16, right: 56, bottom: 32, left: 64 };
+const PLOT_W = WIDTH - PAD.left - PAD.right;
+const PLOT_H = HEIGHT - PAD.top - PAD.bottom;
+const TICKS = 4;
+
+// Rounds up to 1, 2 or 5 x 10^n so axis ticks land on readable values
+const niceMax = (value) => {
+  if (!(value > 0)) return 1;
+  const magnitude = Math.pow(10, Math.floor(Math.log10(value)));
+  const step = [1, 2, 5, 10].find(s => s * magnitude >= value);
+  return step * magnitude;
+};
+
+const yScale = (max) => (value) => PAD.top + PLOT_H - (value / max) * PLOT_H;
+
+const YAxis = ({ max, format, right = false }) => {
+  const y = yScale(max);
+  return Array.from({ length: TICKS + 1 }, (_, i) => {
+    const value = (max / TICKS) * i;
+    return (
+      <g key={i}>
+        {!right && <line className="chart-grid" x1={PAD.left} x2={WIDTH - PAD.right} y1={y(value)} y2={y(value)} />}
+        <text className="chart-label" x={right ? WIDTH - PAD.right + 6 : PAD.left - 6} y={y(value) + 4} textAnchor={right ? 'start' : 'end'}>
+          {format(value)}
+        </text>
+      </g>
+    );
+  });
+};
+
+const Legend = ({ items }) => (
+  <div className="chart-legend">
+    {items.map(({ label, className }) => (
+      <span key={label}><span className={`chart-swatch ${className}`} />{label}</span>
+    ))}
+  </div>
+);
+
+/**
+ * Stacked area of the pension pot split into the starting balance, cumulative contributions and cumulative
+ * growth after fees. The stack always tops out at the pot itself, so losses eat into the lower bands.
+ * @param {{data: Array<{age: number, contrib: number, end: number}>, startBalance: number}} props
+ *   `data` is the output of `projectPension`.
+ */
+export const PensionAreaChart = ({ data, startBalance }) => {
+  if (data.length === 0) return null;
+  let contributed = 0;
+  const points = data.map(row => {
+    contributed += row.contrib;
+    return { age: row.age, start: startBalance, contributed: startBalance + contributed, end: row.end };
+  });
+  const max = niceMax(Math.max(...points.map(p => p.end)));
+  const y = yScale(max);
+  const x = (i) => PAD.left + (points.length === 1 ? PLOT_W / 2 : (i / (points.length - 1)) * PLOT_W);
+  const area = (upper, lower) => {
+    const top = points.map((p, i) => `${x(i)},${y(upper(p))}`);
+    const bottom = points.map((p, i) => `${x(i)},${y(lower(p))}`).reverse();
+    return `M${top.join('L')}L${bottom.join('L')}Z`;
+  };
+  const labelEvery = Math.ceil(points.length / 8);
+
+  return (
+    <div className="chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Pension pot by age split into contributions and growth">
+        <YAxis max={max} format={formatCompactCurrency} />
+        <path className="chart-area-start" d={area(p => Math.min(p.start, p.end), () => 0)} />
+        <path className="chart-area-contrib" d={area(p => Math.min(p.contributed, p.end), p => Math.min(p.start, p.end))} />
+        <path className="chart-area-growth" d={area(p => p.end, p => Math.min(p.contributed, p.end))} />
+        {points.map((p, i) => i % labelEvery === 0 && (
+          <text key={p.age} className="chart-label" x={x(i)} y={HEIGHT - PAD.bottom + 18} textAnchor="middle">{p.age}</text>
+        ))}
+      </svg>
+      <Legend items={[
+        { label: 'Starting Pot', className: 'chart-area-start' },
+        { label: 'Contributions', className: 'chart-area-contrib' },
+        { label: 'Growth', className: 'chart-area-growth' }
+      ]} />
+    </div>
+  );
+};
+
+/**
+ * Waterfall from the first step down through each deduction to the final total.
+ * @param {{steps: Array<{label: string, value: number}>, total: {label: string, value: number}}} props
+ *   The first step is drawn from zero; later steps are deductions when negative.
+ */
+export const WaterfallChart = ({ steps, total }) => {
+  const bars = [];
+  let running = 0;
+  steps.forEach((step, i) => {
+    const from = i === 0 ? 0 : running;
+    running = i === 0 ? step.value : running + step.value;
+    bars.push({ ...step, from, to: running, kind: i === 0 ? 'total' : step.value < 0 ? 'down' : 'up' });
+  });
+  bars.push({ ...total, from: 0, to: total.value, kind: 'total' });
+
+  const max = niceMax(Math.max(...bars.map(b => Math.max(b.from, b.to))));
+  const y = yScale(max);
+  const slot = PLOT_W / bars.length;
+  const barWidth = slot * 0.6;
+
+  return (
+    <div className="chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Waterfall from turnover to net cash">
+        <YAxis max={max} format={formatCompactCurrency} />
+        {bars.map((bar, i) => {
+          const x = PAD.left + slot * i + (slot - barWidth) / 2;
+          const top = y(Math.max(0, Math.max(bar.from, bar.to)));
+          const height = Math.abs(y(Math.max(0, bar.from)) - y(Math.max(0, bar.to)));
+          return (
+            <g key={bar.label}>
+              <rect className={`chart-bar-${bar.kind}`} x={x} y={top} width={barWidth} height={Math.max(1, height)}>
+                <title>{`${bar.label}: ${bar.value < 0 ? '-' : ''}${formatCurrency(Math.abs(bar.value))}`}</title>
+              </rect>
+              <text className="chart-label" x={x + barWidth / 2} y={HEIGHT - PAD.bottom + 14} textAnchor="middle">{bar.label}</text>
+            </g>
+          );
+        })}
+      </svg>
+    </div>
+  );
+};
+
+/**
+ * Net income (left axis) and effective tax rate (right axis) across a range of pension contributions.
+ * @param {{points: Array<{pension: number, annualNet: number, effectiveTaxRate: number}>, current: number}} props
+ *   `current` marks the pension currently entered.
+ */
+export const PensionSweepChart = ({ points, current }) => {
+  if (points.length < 2) return null;
+  const maxPension = points[points.length - 1].pension || 1;
+  const maxNet = niceMax(Math.max(...points.map(p => p.annualNet)));
+  const maxRate = niceMax(Math.max(...points.map(p => p.effectiveTaxRate)));
+  const x = (pension) => PAD.left + (pension / maxPension) * PLOT_W;
+  const yNet = yScale(maxNet);
+  const yRate = yScale(maxRate);
+  const line = (toY) => 'M' + points.map(p => `${x(p.pension)},${toY(p)}`).join('L');
+
+  return (
+    <div className="chart">
+      <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role="img" aria-label="Net income and effective tax rate by annual pension">
+        <YAxis max={maxNet} format={formatCompactCurrency} />
+        <YAxis max={maxRate} format={formatPercentage} right />
+        {current >= 0 && current <= maxPension && (
+          <line className="chart-marker" x1={x(current)} x2={x(current)} y1={PAD.top} y2={PAD.top + PLOT_H} />
+        )}
+        <path className="chart-line-net" d={line(p => yNet(Math.max(0, p.annualNet)))} />
+        <path className="chart-line-rate" d={line(p => yRate(Math.max(0, p.effectiveTaxRate)))} />
+        {points.map((p, i) => i % 2 === 0 && (
+          <text key={p.pension} className="chart-label" x={x(p.pension)} y={HEIGHT - PAD.bottom + 18} textAnchor="middle">
+            {formatCompactCurrency(p.pension)}
+          </text>
+        ))}
+      </svg>
+      <Legend items={[
+        { label: 'Net Annual', className: 'chart-line-net' },
+        { label: 'Effective Tax', className: 'chart-line-rate' },
+        { label: 'Your Pension', className: 'chart-marker' }
+      ]} />
+    </div>
+  );
+};
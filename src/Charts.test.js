@@ -0,0 +1,34 @@
+import { render, screen } from '@testing-library/react';
+import { PensionAreaChart, WaterfallChart, PensionSweepChart } from './Charts';
+import { projectPension } from './engine';
+
+test('draws the pension chart with an age on the x axis', () => {
+  const data = projectPension({ startBalance: 10000, annualContribution: 5000, growthRate: 0.05, currentAge: 40, years: 10 });
+  render(<PensionAreaChart data={data} startBalance={10000} />);
+  expect(screen.getByRole('img', { name: /pension pot by age/i })).toBeInTheDocument();
+  expect(screen.getByText('40')).toBeInTheDocument();
+});
+
+test('scales the pension chart to the pot when losses leave it below the contributions', () => {
+  // £50k paid in, but halving every year leaves a pot of under £20k
+  const data = projectPension({ startBalance: 0, annualContribution: 10000, growthRate: -0.5, currentAge: 40, years: 5 });
+  render(<PensionAreaChart data={data} startBalance={0} />);
+  expect(screen.getByText('£20k')).toBeInTheDocument();
+  expect(screen.queryByText('£50k')).not.toBeInTheDocument();
+});
+
+test('labels every waterfall step and the total', () => {
+  render(
+    <WaterfallChart
+      steps={[{ label: 'Turnover', value: 100000 }, { label: 'Corp. Tax', value: -20000 }]}
+      total={{ label: 'Net Cash', value: 80000 }}
+    />
+  );
+  ['Turnover', 'Corp. Tax', 'Net Cash'].forEach(label => expect(screen.getByText(label)).toBeInTheDocument());
+  expect(screen.getByText('Corp. Tax: -£20,000')).toBeInTheDocument();
+});
+
+test('skips the pension sweep chart without enough points', () => {
+  const { container } = render(<PensionSweepChart points={[{ pension: 0, annualNet: 1, effectiveTaxRate: 0 }]} current={0} />);
+  expect(container).toBeEmptyDOMElement();
+});
@@ -0,0 +1,55 @@
+import React, { useState } from 'react';
+import { createProfile, deleteProfile, duplicateProfile, getActiveProfile, renameProfile, setActiveProfile } from './profiles';
+
+/**
+ * Header control for picking, adding, duplicating, renaming and deleting saved profiles.
+ * @param {{store: object, onChange: (store: object) => void}} props `store` comes from `profiles.js`.
+ */
+export default function ProfileSwitcher({ store, onChange }) {
+  const active = getActiveProfile(store);
+  const [renaming, setRenaming] = useState(null); // Draft name while renaming
+
+  const finishRename = () => {
+    const name = renaming.trim();
+    if (name) onChange(renameProfile(store, active.id, name));
+    setRenaming(null);
+  };
+
+  const remove = () => {
+    if (window.confirm(`Delete the "${active.name}" profile? This can't be undone.`)) {
+      onChange(deleteProfile(store, active.id));
+    }
+  };
+
+  return (
+    <div className="profile-switcher">
+      {renaming === null ? (
+        <select aria-label="Profile" value={active.id} onChange={(e) => onChange(setActiveProfile(store, Number(e.target.value)))}>
+          {store.profiles.map(p => <option key={p.id} value={p.id}>{p.name}</option>)}
+        </select>
+      ) : (
+        <input
+          aria-label="Profile name"
+          type="text"
+          value={renaming}
+          autoFocus
+          onChange={(e) => setRenaming(e.target.value)}
+          onKeyDown={(e) => {
+            if (e.key === 'Enter') finishRename();
+            if (e.key === 'Escape') setRenaming(null);
+          }}
+        />
+      )}
+      {renaming === null ? (
+        <>
+          <button className="segment-btn" onClick={() => onChange(createProfile(store, `Profile ${store.profiles.length + 1}`))}>New</button>
+          <button className="segment-btn" onClick={() => onChange(duplicateProfile(store, active.id))}>Duplicate</button>
+          <button className="segment-btn" onClick={() => setRenaming(active.name)}>Rename</button>
+          <button className="segment-btn" onClick={remove}>Delete</button>
+        </>
+      ) : (
+        <button className="segment-btn" onClick={finishRename}>Save</button>
+      )}
+    </div>
+  );
+}
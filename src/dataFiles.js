@@ -0,0 +1,118 @@
+import { upgradeLegacyExpenses, validateInputs } from './inputSchema';
+
+// Versioned export document. Bump EXPORT_VERSION when the shape of `inputs` changes in a way older
+// files can't be read as-is; results are always recalculated on import, so their shape can change freely.
+export const EXPORT_FORMAT = 'contractor-tax-calculator';
+export const EXPORT_VERSION = 2;
+
+const SCENARIO_RESULT_FIELDS = ['pension', 'monthlyNet', 'annualNet', 'totalValue', 'effectiveTaxRate'];
+
+/**
+ * Everything needed to share or archive a setup: the inputs, which restore it, and the results they
+ * produced, for reading elsewhere.
+ * @param {object} data
+ * @param {object} data.inputs Input values as saved to a profile.
+ * @param {object} data.result `calculateScenario` result for Your Input.
+ * @param {Array<{scenario: object, result: object, delta: number}>} data.scenarios Comparison scenario results.
+ * @param {object[]} data.projection `projectPension` rows.
+ * @param {string} [data.exportedAt] ISO timestamp; defaults to now.
+ * @returns {object} JSON-serialisable export document.
+ */
+export const buildExportDocument = ({ inputs, result, scenarios, projection, exportedAt = new Date().toISOString() }) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  exportedAt,
+  inputs,
+  result,
+  scenarios: scenarios.map(({ scenario, result: scenarioResult, delta }) => ({
+    ...scenario,
+    result: Object.fromEntries(SCENARIO_RESULT_FIELDS.map(field => [field, scenarioResult[field]])),
+    deltaAnnualNet: delta
+  })),
+  projection
+});
+
+// Spreadsheets run cells starting with these characters as formulas, so text cells get a leading quote
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return isFinite(value) ? String(Math.round(value * 100) / 100) : '';
+  let text = String(value);
+  if (FORMULA_START.test(text) && !isFinite(Number(text))) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (header, rows) =>
+  [header, ...rows].map(row => row.map(csvCell).join(',')).join('\r\n') + '\r\n';
+
+const isScalar = (value) => ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * Splits an export document into CSV files that open directly in a spreadsheet. Table inputs other than the
+ * prior pension contributions are only in the JSON export.
+ * @param {object} doc Output of `buildExportDocument`.
+ * @returns {Array<{filename: string, content: string}>}
+ */
+export const buildCsvFiles = (doc) => {
+  const inputRows = Object.entries(doc.inputs).flatMap(([name, value]) => {
+    if (name === 'priorPensions') return value.map((v, i) => [`${name} ${i + 1}`, v]);
+    return isScalar(value) ? [[name, value]] : [];
+  });
+  const resultRows = Object.entries(doc.result).filter(([, value]) => isScalar(value));
+  const scenarioRows = doc.scenarios.map(s => [
+    s.name, s.pension, s.expenses, s.salary, s.dailyRate, s.holidays,
+    ...SCENARIO_RESULT_FIELDS.map(field => s.result[field]), s.deltaAnnualNet
+  ]);
+  const projectionRows = doc.projection.map(row => [
+    row.year, row.age, row.contrib, row.start, row.growth, row.fees, row.end, row.realEnd, row.milestones.join('; ')
+  ]);
+
+  return [
+    { filename: 'inputs.csv', content: toCsv(['Input', 'Value'], inputRows) },
+    { filename: 'result.csv', content: toCsv(['Field', 'Value'], resultRows) },
+    {
+      filename: 'scenarios.csv',
+      content: toCsv([
+        'Scenario', 'Pension Override', 'Expenses Override', 'Salary Override', 'Day Rate Override', 'Holidays Override',
+        'Pension', 'Net Monthly', 'Net Annual', 'Total Value', 'Effective Tax Rate', 'Net Annual vs Your Input'
+      ], scenarioRows)
+    },
+    {
+      filename: 'projection.csv',
+      content: toCsv(['Year', 'Age', 'Contribution', 'Start', 'Growth', 'Fees', 'End', "Today's Money", 'Milestones'], projectionRows)
+    }
+  ];
+};
+
+/**
+ * Reads the inputs back out of an exported JSON document. Results in the file are ignored and recalculated.
+ * @param {string} text File contents.
+ * @returns {{inputs: object|null, errors: string[]}} `inputs` is null whenever there are errors, so a file is
+ *   either restored whole or not at all.
+ */
+export const parseExportDocument = (text) => {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch (e) {
+    return { inputs: null, errors: [`The file is not valid JSON (${e.message}).`] };
+  }
+
+  if (doc === null || typeof doc !== 'object' || doc.format !== EXPORT_FORMAT) {
+    return { inputs: null, errors: ['This is not a Contractor Tax Calculator export: its "format" field is missing or wrong.'] };
+  }
+  if (!Number.isInteger(doc.version) || doc.version < 1) {
+    return { inputs: null, errors: ['The file has no valid "version" number.'] };
+  }
+  if (doc.version > EXPORT_VERSION) {
+    return { inputs: null, errors: [`The file is version ${doc.version} but this calculator reads up to version ${EXPORT_VERSION}. Update the calculator to import it.`] };
+  }
+  if (doc.inputs === null || typeof doc.inputs !== 'object' || Array.isArray(doc.inputs)) {
+    return { inputs: null, errors: ['The file has no "inputs" section.'] };
+  }
+
+  // Version 1 files predate the expenses ledger
+  const { values, errors } = validateInputs(doc.version < 2 ? upgradeLegacyExpenses(doc.inputs) : doc.inputs);
+  return errors.length > 0 ? { inputs: null, errors } : { inputs: values, errors: [] };
+};
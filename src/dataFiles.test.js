@@ -0,0 +1,82 @@
+import { EXPORT_FORMAT, EXPORT_VERSION, buildCsvFiles, buildExportDocument, parseExportDocument, toCsv } from './dataFiles';
+import { calculateScenario, projectPension } from './engine';
+
+const inputs = {
+  incomeMode: 'dayRate', dailyRate: '600', holidays: '25', priorPensions: ['10000', '', '0'],
+  comparisonScenarios: [{ id: 1, name: 'No Pension', pension: '0', expenses: '', salary: '', dailyRate: '', holidays: '' }]
+};
+const result = calculateScenario(136800, 0, 0, '2025', 12570);
+const doc = buildExportDocument({
+  inputs,
+  result,
+  scenarios: [{ scenario: inputs.comparisonScenarios[0], result, delta: 0 }],
+  projection: projectPension({ startBalance: 0, annualContribution: 1000, growthRate: 0, currentAge: 40, years: 2 }),
+  exportedAt: '2025-06-01T00:00:00.000Z'
+});
+
+describe('buildExportDocument', () => {
+  test('stamps the format and version and summarises each scenario', () => {
+    expect(doc.format).toBe(EXPORT_FORMAT);
+    expect(doc.version).toBe(EXPORT_VERSION);
+    expect(doc.scenarios[0]).toMatchObject({ name: 'No Pension', deltaAnnualNet: 0, result: { annualNet: result.annualNet } });
+  });
+});
+
+describe('toCsv', () => {
+  test('quotes awkward cells and defuses formulas', () => {
+    expect(toCsv(['a', 'b'], [['x, "y"', '=SUM(A1)'], [-12.346, '-5']])).toBe('a,b\r\n"x, ""y""",\'=SUM(A1)\r\n-12.35,-5\r\n');
+  });
+});
+
+describe('buildCsvFiles', () => {
+  test('writes one file per table with scalar inputs and results', () => {
+    const files = buildCsvFiles(doc);
+    expect(files.map(f => f.filename)).toEqual(['inputs.csv', 'result.csv', 'scenarios.csv', 'projection.csv']);
+    expect(files[0].content).toContain('dailyRate,600\r\n');
+    expect(files[0].content).toContain('priorPensions 1,10000\r\n');
+    expect(files[0].content).not.toContain('comparisonScenarios');
+    expect(files[1].content).toContain(`annualNet,${Math.round(result.annualNet * 100) / 100}\r\n`);
+    expect(files[3].content.split('\r\n')[1]).toBe('1,40,1000,0,0,0,1000,1000,');
+  });
+});
+
+describe('parseExportDocument', () => {
+  test('restores the inputs from an export', () => {
+    expect(parseExportDocument(JSON.stringify(doc))).toEqual({ inputs, errors: [] });
+  });
+
+  test('turns the yearly expenses figure of a version 1 file into a ledger line', () => {
+    const v1 = { ...doc, version: 1, inputs: { dailyRate: '600', yearlyExpenses: 2500 } };
+    expect(parseExportDocument(JSON.stringify(v1)).inputs).toEqual({
+      dailyRate: '600',
+      expenseItems: [{ id: 1, description: 'Annual expenses', category: 'other', frequency: 'annual', amount: '2500', strategy: '' }]
+    });
+    expect(parseExportDocument(JSON.stringify({ ...v1, version: 2 })).errors).toEqual(['"yearlyExpenses" is not a calculator input.']);
+  });
+
+  test('explains malformed files', () => {
+    expect(parseExportDocument('{"format":').errors[0]).toMatch(/^The file is not valid JSON/);
+    expect(parseExportDocument('[]').errors[0]).toMatch(/not a Contractor Tax Calculator export/);
+    expect(parseExportDocument(JSON.stringify({ ...doc, version: 'one' })).errors).toEqual(['The file has no valid "version" number.']);
+    expect(parseExportDocument(JSON.stringify({ ...doc, version: EXPORT_VERSION + 1 })).errors[0]).toMatch(/reads up to version/);
+    expect(parseExportDocument(JSON.stringify({ ...doc, inputs: undefined })).errors).toEqual(['The file has no "inputs" section.']);
+  });
+
+  test('lists every invalid input and restores nothing', () => {
+    const bad = { ...doc, inputs: { ...inputs, dailyRate: 'lots', taxYear: '1999', nickname: 'x', priorPensions: ['1'] } };
+    const { inputs: restored, errors } = parseExportDocument(JSON.stringify(bad));
+    expect(restored).toBeNull();
+    expect(errors).toEqual([
+      '"dailyRate" must be blank or a number from 0 to 100,000; got "lots".',
+      '"priorPensions" must be a list of 3 values, each blank or a number from 0 to 10,000,000; got ["1"].',
+      '"taxYear" must be one of 2025, 2026; got "1999".',
+      '"nickname" is not a calculator input.'
+    ]);
+  });
+
+  test('rejects scenario rows without unique ids', () => {
+    const rows = [{ id: 1, name: 'A' }, { id: 1, name: 'B' }];
+    const { errors } = parseExportDocument(JSON.stringify({ ...doc, inputs: { comparisonScenarios: rows } }));
+    expect(errors[0]).toMatch(/^"comparisonScenarios" must be a list of rows, each with a unique numeric id/);
+  });
+});
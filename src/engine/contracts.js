@@ -0,0 +1,54 @@
+import { addDays, countWorkingDays, getTaxYearDates } from './workingDays';
+
+/**
+ * Turnover from a list of contracts in one tax year, plus the "bench" gaps where no contract is running.
+ * Each contract's days come from `countWorkingDays` over its own dates and days per week, less its expected
+ * holidays; contracts may overlap.
+ * @param {Array<{id: number, client: string, dailyRate: number, start: string, end: string, daysPerWeek: number,
+ *   holidays: number}>} contracts Blank dates run to the start or end of the tax year.
+ * @param {string} taxYear Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {string} [options.region] Key of `BANK_HOLIDAY_REGIONS`.
+ * @param {string[]} [options.leaveDates] Booked leave, taken off every contract running that day.
+ * @returns {{rows: object[], totalDays: number, turnover: number, averageDayRate: number,
+ *   gaps: Array<{start: string, end: string, workingDays: number}>, benchDays: number}} `rows` are the contracts
+ *   with their clamped `start`/`end`, `days` and `turnover`. Gap working days exclude weekends and bank holidays.
+ */
+export const calculateContracts = (contracts, taxYear, { region, leaveDates = [] } = {}) => {
+  const year = getTaxYearDates(taxYear);
+  const rows = contracts.map(contract => {
+    const calendar = countWorkingDays(taxYear, {
+      region, daysPerWeek: contract.daysPerWeek, contractStart: contract.start, contractEnd: contract.end, leaveDates
+    });
+    const running = calendar.start <= calendar.end;
+    const days = running ? Math.max(0, calendar.workingDays - contract.holidays) : 0;
+    return {
+      ...contract, start: calendar.start, end: calendar.end, running, days, turnover: days * contract.dailyRate
+    };
+  });
+
+  const totalDays = rows.reduce((sum, row) => sum + row.days, 0);
+  const turnover = rows.reduce((sum, row) => sum + row.turnover, 0);
+
+  // Walk the contracts in start order, opening a gap wherever the next one starts after cover ends
+  const gaps = [];
+  let coveredTo = addDays(year.start, -1);
+  const addGap = (start, end) => {
+    const { workingDays } = countWorkingDays(taxYear, { region, contractStart: start, contractEnd: end });
+    if (workingDays > 0) gaps.push({ start, end, workingDays });
+  };
+  rows.filter(row => row.running).sort((a, b) => a.start.localeCompare(b.start)).forEach(row => {
+    if (row.start > addDays(coveredTo, 1)) addGap(addDays(coveredTo, 1), addDays(row.start, -1));
+    if (row.end > coveredTo) coveredTo = row.end;
+  });
+  if (coveredTo < year.end) addGap(addDays(coveredTo, 1), year.end);
+
+  return {
+    rows,
+    totalDays,
+    turnover,
+    averageDayRate: totalDays > 0 ? turnover / totalDays : 0,
+    gaps,
+    benchDays: gaps.reduce((sum, gap) => sum + gap.workingDays, 0)
+  };
+};
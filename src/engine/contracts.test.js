@@ -0,0 +1,51 @@
+import { calculateContracts } from './contracts';
+
+const contract = (overrides) => ({ id: 1, client: 'Acme', dailyRate: 500, start: '', end: '', daysPerWeek: 5, holidays: 0, ...overrides });
+
+describe('calculateContracts', () => {
+  test('builds turnover from each contract\'s days and rate', () => {
+    const result = calculateContracts([
+      // Mon 1 Dec to Wed 31 Dec 2025: 23 weekdays less two bank holidays, less 1 holiday
+      contract({ start: '2025-12-01', end: '2025-12-31', holidays: 1 }),
+      // Thu 1 Jan to Sat 31 Jan 2026: 22 weekdays less New Year's Day, three days a week
+      contract({ id: 2, client: 'Globex', dailyRate: 600, start: '2026-01-01', end: '2026-01-31', daysPerWeek: 3 })
+    ], '2025');
+    expect(result.rows.map(r => r.days)).toEqual([20, 13]);
+    expect(result.totalDays).toBe(33);
+    expect(result.turnover).toBe(20 * 500 + 13 * 600);
+    expect(result.averageDayRate).toBeCloseTo(result.turnover / 33, 6);
+  });
+
+  test('finds the bench gaps before, between and after contracts', () => {
+    const result = calculateContracts([
+      contract({ start: '2025-04-06', end: '2025-09-30' }),
+      contract({ id: 2, start: '2025-11-01', end: '2026-03-31' })
+    ], '2025');
+    // October 2025 has 23 weekdays; 1-5 April 2026 has Wed 1st and Thu 2nd (Good Friday is the 3rd)
+    expect(result.gaps).toEqual([
+      { start: '2025-10-01', end: '2025-10-31', workingDays: 23 },
+      { start: '2026-04-01', end: '2026-04-05', workingDays: 2 }
+    ]);
+    expect(result.benchDays).toBe(25);
+  });
+
+  test('merges overlapping contracts when looking for gaps', () => {
+    const result = calculateContracts([
+      contract({ start: '2025-04-06', end: '2025-12-31' }),
+      contract({ id: 2, start: '2025-06-01', end: '2025-07-31' }),
+      contract({ id: 3, start: '2026-01-01', end: '' })
+    ], '2025');
+    expect(result.gaps).toEqual([]);
+  });
+
+  test('treats the whole year as bench time without contracts', () => {
+    const result = calculateContracts([], '2025');
+    expect(result).toMatchObject({ turnover: 0, totalDays: 0, averageDayRate: 0, benchDays: 251 });
+  });
+
+  test('ignores contracts that end before they start', () => {
+    const result = calculateContracts([contract({ start: '2025-10-01', end: '2025-09-01' })], '2025');
+    expect(result.rows[0]).toMatchObject({ running: false, days: 0, turnover: 0 });
+    expect(result.benchDays).toBe(251);
+  });
+});
@@ -0,0 +1,32 @@
+import { DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+
+/**
+ * Corporation tax on a year's profit, with marginal relief between the lower and upper limits.
+ * @param {number} profit Taxable company profit.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @returns {number} Corporation tax due (0 for a loss).
+ */
+export const calculateCorporationTax = (profit, rules = getTaxRules(DEFAULT_TAX_YEAR)) => {
+  if (profit <= 0) return 0;
+  const { lowerLimit, upperLimit, smallRate, mainRate, marginalReliefFraction } = rules.corporationTax;
+
+  if (profit <= lowerLimit) return profit * smallRate;
+  if (profit >= upperLimit) return profit * mainRate;
+  
+  const ctAtMainRate = profit * mainRate;
+  const marginalRelief = marginalReliefFraction * (upperLimit - profit);
+  return ctAtMainRate - marginalRelief;
+};
+
+/**
+ * Rate paid on the next £1 of profit; inside the marginal relief band this is main rate + relief fraction (26.5%).
+ * @param {number} profit Taxable company profit.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @returns {number} Marginal corporation tax rate as a fraction.
+ */
+export const getMarginalCTRate = (profit, rules = getTaxRules(DEFAULT_TAX_YEAR)) => {
+  const { lowerLimit, upperLimit, smallRate, mainRate, marginalReliefFraction } = rules.corporationTax;
+  if (profit > lowerLimit && profit < upperLimit) return mainRate + marginalReliefFraction;
+  if (profit >= upperLimit) return mainRate;
+  return smallRate;
+};
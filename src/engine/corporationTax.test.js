@@ -0,0 +1,41 @@
+import { calculateCorporationTax, getMarginalCTRate } from './corporationTax';
+import { getTaxRules } from './taxRules';
+
+describe('calculateCorporationTax', () => {
+  test('charges nothing on a loss', () => {
+    expect(calculateCorporationTax(-1000)).toBe(0);
+    expect(calculateCorporationTax(0)).toBe(0);
+  });
+
+  test('charges the small profits rate up to the lower limit', () => {
+    expect(calculateCorporationTax(30000)).toBeCloseTo(5700, 2);
+    expect(calculateCorporationTax(50000)).toBeCloseTo(9500, 2);
+  });
+
+  test('applies marginal relief just above the lower limit', () => {
+    // 50,001 x 25% - 3/200 x (250,000 - 50,001)
+    expect(calculateCorporationTax(50001)).toBeCloseTo(9500.265, 3);
+  });
+
+  test('matches the HMRC marginal relief worked example at £100,000', () => {
+    // 100,000 x 25% = 25,000 less 3/200 x 150,000 = 2,250
+    expect(calculateCorporationTax(100000)).toBeCloseTo(22750, 2);
+  });
+
+  test('charges the main rate from the upper limit', () => {
+    expect(calculateCorporationTax(249999)).toBeCloseTo(62499.735, 3);
+    expect(calculateCorporationTax(250000)).toBeCloseTo(62500, 2);
+    expect(calculateCorporationTax(300000)).toBeCloseTo(75000, 2);
+  });
+});
+
+describe('getMarginalCTRate', () => {
+  const rules = getTaxRules('2025');
+
+  test('is 19% up to the lower limit, 26.5% in the relief band and 25% above', () => {
+    expect(getMarginalCTRate(50000, rules)).toBe(0.19);
+    expect(getMarginalCTRate(50001, rules)).toBeCloseTo(0.265, 10);
+    expect(getMarginalCTRate(249999, rules)).toBeCloseTo(0.265, 10);
+    expect(getMarginalCTRate(250000, rules)).toBe(0.25);
+  });
+});
@@ -0,0 +1,36 @@
+import { DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+
+/**
+ * Dividend tax on dividends stacked on top of a salary: unused personal allowance first, then the
+ * basic, higher and additional bands. The dividend allowance is a 0% slice of whichever bands it lands in.
+ * @param {number} dividends Dividends paid in the year.
+ * @param {number} salary Salary already using the lower bands.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @param {number} [personalAllowance] Allowance to use in place of the full one, e.g. after the taper.
+ * @returns {{allowanceDiv: number, basicDiv: number, higherDiv: number, additionalDiv: number,
+ *   basicTax: number, higherTax: number, additionalTax: number, totalDivTax: number}}
+ *   Dividends falling in each band and the tax charged on them.
+ */
+export const calculateDividendTax = (dividends, salary, rules = getTaxRules(DEFAULT_TAX_YEAR), personalAllowance = rules.incomeTax.personalAllowance) => {
+  const { basicRateLimit, additionalRateThreshold } = rules.incomeTax;
+  const { allowance, rates } = rules.dividends;
+  const higherRateStart = personalAllowance + basicRateLimit - rules.incomeTax.personalAllowance;
+  const available = Math.max(0, dividends);
+
+  const allowanceDiv = Math.max(0, Math.min(available, personalAllowance - salary));
+  const basicDiv = Math.max(0, Math.min(available - allowanceDiv, higherRateStart - Math.max(salary, personalAllowance)));
+  const higherDiv = Math.max(0, Math.min(available - allowanceDiv - basicDiv, additionalRateThreshold - Math.max(salary, higherRateStart)));
+  const additionalDiv = available - allowanceDiv - basicDiv - higherDiv;
+
+  const basicAllowance = Math.min(basicDiv, allowance);
+  const higherAllowance = Math.min(higherDiv, allowance - basicAllowance);
+  const additionalAllowance = Math.min(additionalDiv, allowance - basicAllowance - higherAllowance);
+  const basicTax = (basicDiv - basicAllowance) * rates.basic;
+  const higherTax = (higherDiv - higherAllowance) * rates.higher;
+  const additionalTax = (additionalDiv - additionalAllowance) * rates.additional;
+
+  return {
+    allowanceDiv, basicDiv, higherDiv, additionalDiv, basicTax, higherTax, additionalTax,
+    totalDivTax: basicTax + higherTax + additionalTax
+  };
+};
@@ -0,0 +1,29 @@
+import { calculateDividendTax } from './dividends';
+import { getTaxRules } from './taxRules';
+
+describe('calculateDividendTax', () => {
+  const rules = getTaxRules('2025');
+
+  test('puts dividends above £125,140 of total income in the additional band at 39.35%', () => {
+    // With no allowance left the salary itself uses the first £12,570 of the basic band
+    const result = calculateDividendTax(150000, 12570, rules, 0);
+    expect(result.allowanceDiv).toBe(0);
+    expect(result.basicDiv).toBe(37700 - 12570);
+    expect(result.higherDiv).toBe(125140 - 37700);
+    expect(result.additionalDiv).toBe(150000 + 12570 - 125140);
+    expect(result.additionalTax).toBeCloseTo(result.additionalDiv * 0.3935, 6);
+  });
+
+  test('uses the dividend allowance in the higher band when salary fills the basic band', () => {
+    const result = calculateDividendTax(10000, 60000, rules);
+    expect(result.basicDiv).toBe(0);
+    expect(result.higherTax).toBeCloseTo(9500 * 0.3375, 6);
+  });
+
+  test('moves the higher rate threshold down with a tapered allowance', () => {
+    const result = calculateDividendTax(100000, 12570, rules, 2570);
+    expect(result.allowanceDiv).toBe(0);
+    expect(result.basicDiv).toBe(2570 + 37700 - 12570);
+    expect(result.higherDiv).toBeCloseTo(100000 - 27700, 6);
+  });
+});
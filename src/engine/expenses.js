@@ -0,0 +1,90 @@
+import { DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+
+// `capital` items get capital allowances instead of a straight deduction; `mileage` amounts are business
+// miles, paid at the HMRC approved rates.
+export const EXPENSE_CATEGORIES = {
+  equipment: { label: 'Equipment', capital: true },
+  software: { label: 'Software' },
+  accountancy: { label: 'Accountancy' },
+  insurance: { label: 'Insurance' },
+  travel: { label: 'Travel' },
+  training: { label: 'Training' },
+  useOfHome: { label: 'Use of Home' },
+  mileage: { label: 'Mileage', mileage: true },
+  other: { label: 'Other' }
+};
+
+export const EXPENSE_FREQUENCIES = {
+  oneOff: { label: 'One-off', perYear: 1 },
+  monthly: { label: 'Monthly', perYear: 12 },
+  annual: { label: 'Annual', perYear: 1 }
+};
+
+/**
+ * Company expenses for one tax year from an itemised ledger. Revenue items are deducted in full; capital
+ * items are deducted through the Annual Investment Allowance, with anything over it getting the main pool
+ * writing down allowance; mileage is paid at the full rate up to the yearly threshold, then the reduced rate.
+ * Items use up the allowance and the full-rate miles in ledger order. An unknown category counts as 'other'
+ * and an unknown frequency as 'annual'.
+ * @param {Array<{id: number, description: string, category: string, frequency: string, amount: number}>} items
+ *   `category` and `frequency` are keys of `EXPENSE_CATEGORIES` and `EXPENSE_FREQUENCIES`; `amount` is the cost
+ *   each time, or the miles for mileage.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @returns {{rows: object[], categories: Array<{category: string, label: string, annualCost: number,
+ *   deduction: number}>, total: number, recurringTotal: number, aiaUsed: number, miles: number}} `rows` are the
+ *   items with their `annualCost`, `deduction` against profit and, where relevant, `aia` and `miles`. `categories`
+ *   lists only the categories in use, `total` is the deduction for `calculateScenario` and `recurringTotal` the
+ *   deduction in a later year, without the one-off items.
+ */
+export const calculateExpenses = (items, taxYear = DEFAULT_TAX_YEAR) => {
+  const { capitalAllowances, mileageAllowance } = getTaxRules(taxYear);
+  let aiaLeft = capitalAllowances.annualInvestmentAllowance;
+  let miles = 0;
+
+  const rows = items.map(entry => {
+    const item = {
+      ...entry,
+      category: EXPENSE_CATEGORIES[entry.category] ? entry.category : 'other',
+      frequency: EXPENSE_FREQUENCIES[entry.frequency] ? entry.frequency : 'annual'
+    };
+    const { capital, mileage } = EXPENSE_CATEGORIES[item.category];
+    const annual = item.amount * EXPENSE_FREQUENCIES[item.frequency].perYear;
+    if (mileage) {
+      const fullRateMiles = Math.min(annual, Math.max(0, mileageAllowance.reducedAfterMiles - miles));
+      miles += annual;
+      const annualCost = fullRateMiles * mileageAllowance.rate + (annual - fullRateMiles) * mileageAllowance.reducedRate;
+      return { ...item, miles: annual, annualCost, deduction: annualCost };
+    }
+    if (capital) {
+      const aia = Math.min(annual, aiaLeft);
+      aiaLeft -= aia;
+      return { ...item, annualCost: annual, aia, deduction: aia + (annual - aia) * capitalAllowances.mainPoolRate };
+    }
+    return { ...item, annualCost: annual, deduction: annual };
+  });
+
+  const categories = Object.entries(EXPENSE_CATEGORIES)
+    .filter(([category]) => rows.some(row => row.category === category))
+    .map(([category, { label }]) => {
+      const inCategory = rows.filter(row => row.category === category);
+      return {
+        category,
+        label,
+        annualCost: inCategory.reduce((sum, row) => sum + row.annualCost, 0),
+        deduction: inCategory.reduce((sum, row) => sum + row.deduction, 0)
+      };
+    });
+
+  const total = rows.reduce((sum, row) => sum + row.deduction, 0);
+  return {
+    rows,
+    categories,
+    total,
+    // Later years repeat everything but the one-off items
+    recurringTotal: rows.some(row => row.frequency === 'oneOff')
+      ? calculateExpenses(rows.filter(row => row.frequency !== 'oneOff'), taxYear).total
+      : total,
+    aiaUsed: capitalAllowances.annualInvestmentAllowance - aiaLeft,
+    miles
+  };
+};
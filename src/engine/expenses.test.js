@@ -0,0 +1,59 @@
+import { calculateExpenses } from './expenses';
+
+const item = (overrides) => ({ id: 1, description: '', category: 'software', frequency: 'annual', amount: 0, ...overrides });
+
+describe('calculateExpenses', () => {
+  test('annualises monthly items and deducts revenue items in full', () => {
+    const result = calculateExpenses([
+      item({ category: 'software', frequency: 'monthly', amount: 20 }),
+      item({ id: 2, category: 'accountancy', frequency: 'annual', amount: 1200 }),
+      item({ id: 3, category: 'training', frequency: 'oneOff', amount: 500 })
+    ], '2025');
+    expect(result.rows.map(row => row.deduction)).toEqual([240, 1200, 500]);
+    expect(result.total).toBe(1940);
+    expect(result.recurringTotal).toBe(1440);
+  });
+
+  test('pays mileage at 45p up to 10,000 miles and 25p after', () => {
+    const result = calculateExpenses([
+      item({ category: 'mileage', amount: 8000 }),
+      item({ id: 2, category: 'mileage', frequency: 'monthly', amount: 500 })
+    ], '2025');
+    // 8,000 at 45p, then 2,000 at 45p and 4,000 at 25p
+    expect(result.rows.map(row => row.annualCost)).toEqual([3600, 1900]);
+    expect(result.miles).toBe(14000);
+  });
+
+  test('claims capital items through the Annual Investment Allowance', () => {
+    const result = calculateExpenses([item({ category: 'equipment', frequency: 'oneOff', amount: 2400 })], '2025');
+    expect(result.rows[0]).toMatchObject({ annualCost: 2400, aia: 2400, deduction: 2400 });
+    expect(result.aiaUsed).toBe(2400);
+  });
+
+  test.each([
+    ['2025', 0.18],
+    ['2026', 0.14]
+  ])('writes down capital spend over the allowance at the %s main pool rate', (taxYear, rate) => {
+    const result = calculateExpenses([item({ category: 'equipment', amount: 1200000 })], taxYear);
+    expect(result.rows[0].aia).toBe(1000000);
+    expect(result.total).toBeCloseTo(1000000 + 200000 * rate, 6);
+  });
+
+  test('totals each category in use, in category order', () => {
+    const result = calculateExpenses([
+      item({ category: 'travel', amount: 300 }),
+      item({ id: 2, category: 'equipment', amount: 1000 }),
+      item({ id: 3, category: 'travel', amount: 200 })
+    ], '2025');
+    expect(result.categories).toEqual([
+      { category: 'equipment', label: 'Equipment', annualCost: 1000, deduction: 1000 },
+      { category: 'travel', label: 'Travel', annualCost: 500, deduction: 500 }
+    ]);
+  });
+
+  test('treats an unknown category as other and an unknown frequency as annual', () => {
+    const result = calculateExpenses([item({ category: 'yacht', frequency: 'hourly', amount: 100 })], '2025');
+    expect(result.rows[0]).toMatchObject({ category: 'other', frequency: 'annual', deduction: 100 });
+    expect(result.categories).toEqual([{ category: 'other', label: 'Other', annualCost: 100, deduction: 100 }]);
+  });
+});
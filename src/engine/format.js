@@ -0,0 +1,15 @@
+export const formatCurrency = (v) =>
+  isFinite(v) ? '£' + Math.round(v).toLocaleString('en-GB') : '–';
+
+export const formatPercentage = (v) =>
+  isFinite(v) ? (v * 100).toFixed(1) + '%' : '–';
+
+// Short form for chart axes, e.g. £850, £25k, £1.2M
+export const formatCompactCurrency = (v) => {
+  if (!isFinite(v)) return '–';
+  const abs = Math.abs(v);
+  const sign = v < 0 ? '-' : '';
+  if (abs >= 1e6) return `${sign}£${+(abs / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${sign}£${+(abs / 1e3).toFixed(abs >= 1e4 ? 0 : 1)}k`;
+  return `${sign}£${Math.round(abs)}`;
+};
@@ -0,0 +1,23 @@
+// Public API of the tax calculation engine. Everything here is pure and free of React.
+export { TAX_YEAR_RULES, DEFAULT_TAX_YEAR, RESIDENCIES, DEFAULT_RESIDENCY, getTaxRules } from './taxRules';
+export {
+  calculateEmployerNI, calculateEmployeeNI, calculateIncomeTax, calculateScottishIncomeTax, calculatePAYE,
+  getPersonalAllowance
+} from './paye';
+export { calculateDividendTax } from './dividends';
+export { calculateCorporationTax, getMarginalCTRate } from './corporationTax';
+export { DEFAULT_SALARY, calculateScenario, findOptimalSalary } from './scenario';
+export { findTurnoverForNet } from './targetNet';
+export { planYears } from './multiYear';
+export { BANK_HOLIDAY_REGIONS, BANK_HOLIDAYS, getTaxYearDates, countWorkingDays } from './workingDays';
+export { calculateContracts } from './contracts';
+export { VAT_SCHEMES, FLAT_RATE_SECTORS, calculateVat } from './vat';
+export { EXPENSE_CATEGORIES, EXPENSE_FREQUENCIES, calculateExpenses } from './expenses';
+export { buildSensitivityGrid } from './sensitivity';
+export { projectPension, calculateDrawdown } from './pension';
+export { MAX_SIMULATIONS, createRandom, simulatePension } from './monteCarlo';
+export { getAnnualAllowance, checkPensionAllowance } from './pensionAllowance';
+export { STRATEGIES, buildStrategies } from './strategies';
+export { calculateUmbrella, calculateDeemedPayment } from './ir35';
+export { calculatePermPackage, findPermEquivalentSalary, findDayRateForPermSalary } from './permEquivalent';
+export { formatCurrency, formatPercentage, formatCompactCurrency } from './format';
@@ -0,0 +1,77 @@
+import { DEFAULT_RESIDENCY, DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+import { calculateEmployerNI, calculatePAYE, getPersonalAllowance } from './paye';
+import { calculateScenario } from './scenario';
+import { calculateVat } from './vat';
+
+/**
+ * Inside-IR35 engagement paid through an umbrella company. The umbrella takes its margin, then employer NI
+ * and the apprenticeship levy out of the assignment income before running the rest through PAYE.
+ * Pension is treated as an employer contribution via salary sacrifice.
+ * @param {number} turnover Annual assignment income invoiced by the umbrella.
+ * @param {number} annualPension Pension contribution for the year.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {number} [options.umbrellaMargin] Annual umbrella fee.
+ * @param {string} [options.residency] Key of `RESIDENCIES`.
+ * @returns {object} `grossSalary`, `employerNI`, `apprenticeshipLevy`, `umbrellaMargin`, `incomeTax`,
+ *   `employeeNI`, `pension` and the same totals as `calculateScenario` (`annualNet`, `monthlyNet`,
+ *   `totalValue`, `totalTax`, `effectiveTaxRate`).
+ */
+export const calculateUmbrella = (turnover, annualPension, taxYear = DEFAULT_TAX_YEAR, { umbrellaMargin = 0, residency = DEFAULT_RESIDENCY } = {}) => {
+  const rules = getTaxRules(taxYear);
+  const { secondaryThreshold, rate } = rules.employerNI;
+  const { apprenticeshipLevyRate } = rules.ir35;
+  const available = Math.max(0, turnover - umbrellaMargin - annualPension);
+
+  // available = salary + employer NI + levy, solved for salary either side of the secondary threshold
+  let grossSalary = (available + secondaryThreshold * rate) / (1 + rate + apprenticeshipLevyRate);
+  if (grossSalary <= secondaryThreshold) grossSalary = available / (1 + apprenticeshipLevyRate);
+
+  const employerNI = calculateEmployerNI(grossSalary, rules);
+  const apprenticeshipLevy = grossSalary * apprenticeshipLevyRate;
+  const personalAllowance = getPersonalAllowance(grossSalary, rules);
+  const paye = calculatePAYE(grossSalary, rules, personalAllowance, residency);
+  const incomeTax = paye.incomeTax.total;
+
+  const annualNet = paye.netSalary;
+  const totalTax = employerNI + apprenticeshipLevy + incomeTax + paye.employeeNI;
+  return {
+    turnover, umbrellaMargin, pension: annualPension, grossSalary, employerNI, apprenticeshipLevy,
+    personalAllowance, incomeTax, employeeNI: paye.employeeNI, annualNet, monthlyNet: annualNet / 12,
+    totalValue: annualNet + annualPension, totalTax, effectiveTaxRate: turnover > 0 ? totalTax / turnover : 0
+  };
+};
+
+/**
+ * Inside-IR35 engagement through the limited company using a deemed payment: everything except the flat
+ * expenses allowance is paid out as employment income, and only that allowance is left as company profit.
+ * @param {number} turnover Annual company turnover.
+ * @param {number} annualPension Employer pension contribution for the year.
+ * @param {number} yearlyExpenses Allowable company expenses for the year.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {number} [options.salary] Salary already paid through payroll; the deemed payment tops it up.
+ * @param {string} [options.residency] Key of `RESIDENCIES`.
+ * @param {object} [options.vat] VAT registration, as the options of `calculateVat`.
+ * @returns {object} The `calculateScenario` result for the combined employment income, plus `deemedPayment`
+ *   and the `allowance` retained in the company.
+ */
+export const calculateDeemedPayment = (turnover, annualPension, yearlyExpenses, taxYear = DEFAULT_TAX_YEAR, { salary = 0, residency = DEFAULT_RESIDENCY, vat } = {}) => {
+  const rules = getTaxRules(taxYear);
+  const allowance = turnover * rules.ir35.deemedPaymentAllowance;
+  // A Flat Rate VAT surplus is company income, so it is paid out with the rest
+  const pool = turnover + calculateVat(turnover, taxYear, vat).flatRateSurplus - annualPension - yearlyExpenses - allowance;
+
+  // Employment income S such that S + employer NI on S uses up the pool
+  let lo = 0;
+  let hi = Math.max(0, pool);
+  while (hi - lo > 0.01) {
+    const mid = (lo + hi) / 2;
+    if (mid + calculateEmployerNI(mid, rules) > pool) hi = mid;
+    else lo = mid;
+  }
+  const employmentIncome = Math.max(lo, salary);
+
+  const result = calculateScenario(turnover, annualPension, yearlyExpenses, taxYear, employmentIncome, residency, vat);
+  return { ...result, deemedPayment: employmentIncome - salary, allowance };
+};
@@ -0,0 +1,44 @@
+import { calculateUmbrella, calculateDeemedPayment } from './ir35';
+import { calculateEmployerNI } from './paye';
+
+describe('calculateUmbrella', () => {
+  test('takes margin, employer NI and levy out of the assignment income before PAYE', () => {
+    const result = calculateUmbrella(100000, 0, '2025', { umbrellaMargin: 1000 });
+    expect(result.grossSalary + result.employerNI + result.apprenticeshipLevy).toBeCloseTo(99000, 6);
+    expect(result.employerNI).toBeCloseTo(calculateEmployerNI(result.grossSalary), 6);
+    expect(result.apprenticeshipLevy).toBeCloseTo(result.grossSalary * 0.005, 6);
+    expect(result.annualNet).toBeCloseTo(result.grossSalary - result.incomeTax - result.employeeNI, 6);
+  });
+
+  test('sacrifices pension before employer NI and tax', () => {
+    const withPension = calculateUmbrella(100000, 10000, '2025');
+    expect(withPension.grossSalary + withPension.employerNI + withPension.apprenticeshipLevy).toBeCloseTo(90000, 6);
+    expect(withPension.totalValue).toBeCloseTo(withPension.annualNet + 10000, 6);
+  });
+
+  test('handles income below the secondary threshold', () => {
+    const result = calculateUmbrella(4000, 0, '2025');
+    expect(result.employerNI).toBe(0);
+    expect(result.grossSalary).toBeCloseTo(4000 / 1.005, 6);
+  });
+});
+
+describe('calculateDeemedPayment', () => {
+  test('leaves only the 5% allowance as company profit', () => {
+    const result = calculateDeemedPayment(100000, 0, 0, '2025', { salary: 12570 });
+    expect(result.allowance).toBe(5000);
+    expect(result.profit).toBeCloseTo(5000, 1);
+    expect(result.deemedPayment).toBeCloseTo(result.salary - 12570, 6);
+    expect(result.ct).toBeCloseTo(result.profit * 0.19, 6);
+  });
+});
+
+describe('VAT in calculateDeemedPayment', () => {
+  test('pays the Flat Rate surplus out with the deemed payment', () => {
+    const flatRate = { scheme: 'flatRate', sector: 'itConsultancy' };
+    const result = calculateDeemedPayment(100000, 0, 0, '2025', { salary: 12570, vat: flatRate });
+    expect(result.vat.flatRateSurplus).toBeCloseTo(2600, 6);
+    expect(result.profit).toBeCloseTo(5000, 1);
+    expect(result.salary).toBeGreaterThan(calculateDeemedPayment(100000, 0, 0, '2025', { salary: 12570 }).salary);
+  });
+});
@@ -0,0 +1,80 @@
+const PROJECTION_YEARS = 25;
+const MAX_PROJECTION_YEARS = 80;
+const PERCENTILES = [0.1, 0.5, 0.9];
+// Most return paths the calculator asks for: it runs on the main thread, so this keeps a rerun to about a frame
+export const MAX_SIMULATIONS = 2000;
+
+/**
+ * Seeded pseudo-random generator (mulberry32) so simulations can be reproduced exactly.
+ * @param {number} seed Any integer.
+ * @returns {() => number} Uniform values in [0, 1).
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// Standard normal draw via Box-Muller; 1 - u keeps the log argument above zero.
+const normal = (random) => Math.sqrt(-2 * Math.log(1 - random())) * Math.cos(2 * Math.PI * random());
+
+const percentile = (sorted, p) => {
+  const index = (sorted.length - 1) * p;
+  const lower = Math.floor(index);
+  const upper = Math.ceil(index);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (index - lower);
+};
+
+/**
+ * Monte Carlo pension projection: runs many random annual return paths over the same contribution
+ * schedule as `projectPension` and reports the spread of pot values each year.
+ * @param {object} options
+ * @param {number} options.startBalance Current pot value.
+ * @param {number} options.annualContribution Contribution in the first year.
+ * @param {number} options.meanReturn Mean annual return as a fraction, before fees.
+ * @param {number} options.volatility Standard deviation of the annual return as a fraction.
+ * @param {number} options.currentAge Age in the first projected year.
+ * @param {number} [options.retirementAge] Project up to this age instead of a fixed number of years.
+ * @param {number} [options.years] Number of years to project when no retirement age is given.
+ * @param {number} [options.contributionEscalation] Yearly increase in the contribution as a fraction.
+ * @param {number} [options.feeRate] Platform plus fund fees as a fraction of the opening balance.
+ * @param {number} [options.targetPot] Pot value to report the probability of reaching by the final year.
+ * @param {number} [options.simulations] Number of return paths.
+ * @param {number} [options.seed] Seed for the random generator; the same seed gives the same result.
+ * @returns {{rows: Array<{year: number, age: number, p10: number, p50: number, p90: number}>,
+ *   probability: number|null}} `probability` is the share of paths ending at or above `targetPot`, or
+ *   null when no target is given.
+ */
+export const simulatePension = ({
+  startBalance, annualContribution, meanReturn, volatility, currentAge, retirementAge, years = PROJECTION_YEARS,
+  contributionEscalation = 0, feeRate = 0, targetPot = 0, simulations = 2000, seed = 1
+}) => {
+  const totalYears = retirementAge > currentAge
+    ? Math.min(MAX_PROJECTION_YEARS, Math.ceil(retirementAge - currentAge))
+    : years;
+  const random = createRandom(seed);
+  const balances = new Float64Array(simulations).fill(startBalance);
+  const rows = [];
+
+  for (let year = 1; year <= totalYears; year++) {
+    const contrib = annualContribution * Math.pow(1 + contributionEscalation, year - 1);
+    for (let i = 0; i < simulations; i++) {
+      // A year can't lose more than the whole pot
+      const growthRate = Math.max(-1, meanReturn + volatility * normal(random));
+      balances[i] = Math.max(0, balances[i] * (1 + growthRate - feeRate)) + contrib;
+    }
+    const sorted = Float64Array.from(balances).sort();
+    const [p10, p50, p90] = PERCENTILES.map(p => percentile(sorted, p));
+    rows.push({ year, age: currentAge + year - 1, p10, p50, p90 });
+  }
+
+  const probability = targetPot > 0 && simulations > 0
+    ? balances.filter(balance => balance >= targetPot).length / simulations
+    : null;
+  return { rows, probability };
+};
@@ -0,0 +1,53 @@
+import { createRandom, simulatePension } from './monteCarlo';
+import { projectPension } from './pension';
+
+const base = { startBalance: 50000, annualContribution: 10000, meanReturn: 0.05, currentAge: 40, years: 20 };
+
+describe('createRandom', () => {
+  test('repeats the same sequence for the same seed', () => {
+    const a = createRandom(42);
+    const b = createRandom(42);
+    const c = createRandom(43);
+    const first = [a(), a(), a()];
+    expect([b(), b(), b()]).toEqual(first);
+    expect(c()).not.toBe(first[0]);
+    first.forEach(v => {
+      expect(v).toBeGreaterThanOrEqual(0);
+      expect(v).toBeLessThan(1);
+    });
+  });
+});
+
+describe('simulatePension', () => {
+  test('matches the deterministic projection when there is no volatility', () => {
+    const { rows } = simulatePension({ ...base, volatility: 0, feeRate: 0.01, contributionEscalation: 0.03, simulations: 10 });
+    const projection = projectPension({ ...base, growthRate: 0.05, feeRate: 0.01, contributionEscalation: 0.03 });
+    rows.forEach((row, i) => {
+      expect(row.age).toBe(projection[i].age);
+      expect(row.p10).toBeCloseTo(projection[i].end, 6);
+      expect(row.p90).toBeCloseTo(projection[i].end, 6);
+    });
+  });
+
+  test('is deterministic for a given seed', () => {
+    const options = { ...base, volatility: 0.15, simulations: 500, seed: 7, targetPot: 500000 };
+    expect(simulatePension(options)).toEqual(simulatePension(options));
+    expect(simulatePension({ ...options, seed: 8 })).not.toEqual(simulatePension(options));
+  });
+
+  test('orders the percentiles and spreads them with volatility', () => {
+    const { rows } = simulatePension({ ...base, volatility: 0.15, simulations: 1000 });
+    const last = rows[rows.length - 1];
+    expect(last.p10).toBeLessThan(last.p50);
+    expect(last.p50).toBeLessThan(last.p90);
+    expect(rows).toHaveLength(20);
+  });
+
+  test('reports the probability of reaching the target pot', () => {
+    const certain = simulatePension({ ...base, volatility: 0.15, targetPot: 1, simulations: 200 });
+    const impossible = simulatePension({ ...base, volatility: 0, targetPot: 1e9, simulations: 200 });
+    expect(certain.probability).toBe(1);
+    expect(impossible.probability).toBe(0);
+    expect(simulatePension({ ...base, volatility: 0.15, simulations: 10 }).probability).toBeNull();
+  });
+});
@@ -0,0 +1,70 @@
+import { DEFAULT_RESIDENCY, TAX_YEAR_RULES, getTaxRules } from './taxRules';
+import { calculateCorporationTax } from './corporationTax';
+import { calculateDividendTax } from './dividends';
+import { calculateEmployerNI, calculatePAYE, getPersonalAllowance } from './paye';
+import { DEFAULT_SALARY } from './scenario';
+import { calculateVat } from './vat';
+
+// Years past the end of the registry are planned on the latest rules we have
+const rulesYearFor = (taxYear) => {
+  if (TAX_YEAR_RULES[taxYear]) return taxYear;
+  const latest = Object.keys(TAX_YEAR_RULES).sort().pop();
+  return Number(taxYear) > Number(latest) ? latest : taxYear;
+};
+
+/**
+ * Company and personal position over several years where profits can be retained and drawn later.
+ * Each year pays CT on its own profit (after any losses brought forward), adds the rest to retained
+ * earnings and pays out the requested dividend, capped at what has been retained.
+ * @param {Array<{taxYear: string, turnover: number, expenses: number, pension: number, dividend: number}>} years
+ *   One entry per year, in order.
+ * @param {object} [options]
+ * @param {number} [options.salary] Annual director salary, paid every year.
+ * @param {string} [options.residency] Key of `RESIDENCIES`.
+ * @param {number} [options.openingRetained] Retained earnings at the start of the first year.
+ * @param {object} [options.vat] VAT registration, as the options of `calculateVat`; a Flat Rate surplus adds to profit.
+ * @returns {{rows: object[], totals: object}} Per-year figures (`vatSurplus`, `profit`, `ct`, `afterCt`,
+ *   `openingRetained`, `dividend`, `closingRetained`, `incomeTax`, `employeeNI`, `dividendTax`, `annualNet`,
+ *   `totalTax`) and their sums, with `closingRetained` taken from the last year.
+ */
+export const planYears = (years, { salary = DEFAULT_SALARY, residency = DEFAULT_RESIDENCY, openingRetained = 0, vat } = {}) => {
+  let retained = openingRetained;
+  let lossesBroughtForward = 0;
+
+  const rows = years.map(({ taxYear, turnover, expenses, pension, dividend }) => {
+    const rulesYear = rulesYearFor(taxYear);
+    const rules = getTaxRules(rulesYear);
+    const employerNI = calculateEmployerNI(salary, rules);
+    const vatSurplus = calculateVat(turnover, rulesYear, vat).flatRateSurplus;
+    const profit = turnover + vatSurplus - salary - employerNI - pension - expenses;
+    const lossRelief = Math.min(lossesBroughtForward, Math.max(0, profit));
+    lossesBroughtForward = lossesBroughtForward - lossRelief + Math.max(0, -profit);
+    const ct = calculateCorporationTax(profit - lossRelief, rules);
+    const afterCt = profit - ct;
+
+    const start = retained;
+    const paid = Math.max(0, Math.min(dividend, start + afterCt));
+    retained = start + afterCt - paid;
+
+    const personalAllowance = getPersonalAllowance(salary + paid, rules);
+    const paye = calculatePAYE(salary, rules, personalAllowance, residency);
+    const { totalDivTax } = calculateDividendTax(paid, salary, rules, personalAllowance);
+    const incomeTax = paye.incomeTax.total;
+    const annualNet = paye.netSalary + paid - totalDivTax;
+
+    return {
+      taxYear, label: `${taxYear}/${String(Number(taxYear) + 1).slice(2)}`,
+      turnover, vatSurplus, expenses, pension, employerNI, profit, lossRelief, ct, afterCt, openingRetained: start,
+      dividendRequested: dividend, dividend: paid, closingRetained: retained, incomeTax, employeeNI: paye.employeeNI,
+      dividendTax: totalDivTax, annualNet, totalTax: ct + employerNI + incomeTax + paye.employeeNI + totalDivTax
+    };
+  });
+
+  const sum = (key) => rows.reduce((total, row) => total + row[key], 0);
+  const totals = {
+    turnover: sum('turnover'), pension: sum('pension'), ct: sum('ct'), dividend: sum('dividend'),
+    dividendTax: sum('dividendTax'), incomeTax: sum('incomeTax'), annualNet: sum('annualNet'),
+    totalTax: sum('totalTax'), closingRetained: retained
+  };
+  return { rows, totals };
+};
@@ -0,0 +1,53 @@
+import { planYears } from './multiYear';
+import { calculateScenario } from './scenario';
+
+const year = (taxYear, turnover, dividend) => ({ taxYear, turnover, expenses: 0, pension: 0, dividend });
+
+describe('planYears', () => {
+  test('matches calculateScenario when every year pays out all its profit', () => {
+    const single = calculateScenario(90000, 0, 0, '2025');
+    const { rows } = planYears([year('2025', 90000, Infinity)]);
+    expect(rows[0].ct).toBeCloseTo(single.ct, 6);
+    expect(rows[0].dividendTax).toBeCloseTo(single.totalDivTax, 6);
+    expect(rows[0].annualNet).toBeCloseTo(single.annualNet, 6);
+    expect(rows[0].closingRetained).toBeCloseTo(0, 6);
+  });
+
+  test('carries retained profit forward and caps dividends at what is available', () => {
+    const { rows, totals } = planYears([year('2025', 150000, 40000), year('2026', 20000, 200000)]);
+    expect(rows[0].closingRetained).toBeCloseTo(rows[0].afterCt - 40000, 6);
+    expect(rows[1].openingRetained).toBeCloseTo(rows[0].closingRetained, 6);
+    expect(rows[1].dividend).toBeCloseTo(rows[1].openingRetained + rows[1].afterCt, 6);
+    expect(totals.closingRetained).toBeCloseTo(0, 6);
+  });
+
+  test('uses each year’s dividend rates', () => {
+    const { rows } = planYears([year('2025', 60000, 20000), year('2026', 60000, 20000)]);
+    expect(rows[1].dividendTax).toBeGreaterThan(rows[0].dividendTax);
+    expect(rows[0].dividendTax).toBeCloseTo((20000 - 500) * 0.0875, 6);
+    expect(rows[1].dividendTax).toBeCloseTo((20000 - 500) * 0.1075, 6);
+  });
+
+  test('plans years beyond the registry on the latest rules', () => {
+    const { rows } = planYears([year('2030', 60000, 20000)]);
+    expect(rows[0].label).toBe('2030/31');
+    expect(rows[0].dividendTax).toBeCloseTo((20000 - 500) * 0.1075, 6);
+  });
+
+  test('relieves a loss against the next year’s profit', () => {
+    const { rows } = planYears([year('2025', 5000, 0), year('2025', 60000, 0)]);
+    expect(rows[0].ct).toBe(0);
+    expect(rows[1].lossRelief).toBeCloseTo(-rows[0].profit, 6);
+  });
+});
+
+describe('VAT in planYears', () => {
+  test('matches calculateScenario with the Flat Rate surplus in profit', () => {
+    const vat = { scheme: 'flatRate', sector: 'itConsultancy' };
+    const single = calculateScenario(90000, 0, 0, '2025', undefined, undefined, vat);
+    const { rows } = planYears([year('2025', 90000, Infinity)], { vat });
+    expect(rows[0].vatSurplus).toBeCloseTo(single.vat.flatRateSurplus, 6);
+    expect(rows[0].profit).toBeCloseTo(single.profit, 6);
+    expect(rows[0].annualNet).toBeCloseTo(single.annualNet, 6);
+  });
+});
@@ -0,0 +1,104 @@
+import { DEFAULT_RESIDENCY, DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+
+/**
+ * Employer (secondary) Class 1 NI on a salary.
+ * @param {number} salary Annual gross salary.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @returns {number} Annual employer NI.
+ */
+export const calculateEmployerNI = (salary, rules = getTaxRules(DEFAULT_TAX_YEAR)) => {
+  const { secondaryThreshold, rate } = rules.employerNI;
+  if (salary <= secondaryThreshold) return 0;
+  return (salary - secondaryThreshold) * rate;
+};
+
+/**
+ * Employee (primary) Class 1 NI on a salary.
+ * @param {number} salary Annual gross salary.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @returns {number} Annual employee NI.
+ */
+export const calculateEmployeeNI = (salary, rules = getTaxRules(DEFAULT_TAX_YEAR)) => {
+  const { primaryThreshold, upperEarningsLimit, mainRate, upperRate } = rules.employeeNI;
+  const main = Math.max(0, Math.min(salary, upperEarningsLimit) - primaryThreshold);
+  const upper = Math.max(0, salary - upperEarningsLimit);
+  return main * mainRate + upper * upperRate;
+};
+
+/**
+ * Personal allowance after the £1-per-£2 taper on adjusted net income above the taper threshold.
+ * @param {number} adjustedNetIncome Salary plus dividends (employer pension contributions are excluded).
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @returns {number} The tapered personal allowance, never below zero.
+ */
+export const getPersonalAllowance = (adjustedNetIncome, rules = getTaxRules(DEFAULT_TAX_YEAR)) => {
+  const { personalAllowance, taperThreshold } = rules.incomeTax;
+  const reduction = Math.max(0, adjustedNetIncome - taperThreshold) / 2;
+  return Math.max(0, personalAllowance - reduction);
+};
+
+/**
+ * Income tax on a salary across the personal allowance, basic, higher and additional bands.
+ * @param {number} salary Annual gross salary.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @param {number} [personalAllowance] Allowance to use in place of the full one, e.g. after the taper.
+ * @returns {{basic: number, higher: number, additional: number, basicTax: number,
+ *   higherTax: number, additionalTax: number, bands: object[], total: number}} Income in each band, the tax
+ *   on it and the total; `bands` lists the same figures as `{name, rate, amount, tax}` rows.
+ */
+export const calculateIncomeTax = (salary, rules = getTaxRules(DEFAULT_TAX_YEAR), personalAllowance = rules.incomeTax.personalAllowance) => {
+  const { basicRateLimit, additionalRateThreshold, rates } = rules.incomeTax;
+  // The basic band keeps its width when the allowance is tapered, so the higher rate starts earlier
+  const higherRateStart = personalAllowance + basicRateLimit - rules.incomeTax.personalAllowance;
+  const basic = Math.max(0, Math.min(salary, higherRateStart) - personalAllowance);
+  const higher = Math.max(0, Math.min(salary, additionalRateThreshold) - higherRateStart);
+  const additional = Math.max(0, salary - additionalRateThreshold);
+  const basicTax = basic * rates.basic;
+  const higherTax = higher * rates.higher;
+  const additionalTax = additional * rates.additional;
+  return {
+    basic, higher, additional, basicTax, higherTax, additionalTax,
+    bands: [
+      { name: 'basic', rate: rates.basic, amount: basic, tax: basicTax },
+      { name: 'higher', rate: rates.higher, amount: higher, tax: higherTax },
+      { name: 'additional', rate: rates.additional, amount: additional, tax: additionalTax }
+    ],
+    total: basicTax + higherTax + additionalTax
+  };
+};
+
+/**
+ * Scottish income tax on a salary across the starter, basic, intermediate, higher, advanced and top bands.
+ * @param {number} salary Annual gross salary.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @param {number} [personalAllowance] Allowance to use in place of the full one, e.g. after the taper.
+ * @returns {{bands: object[], total: number}} `{name, rate, amount, tax}` per band and the total tax.
+ */
+export const calculateScottishIncomeTax = (salary, rules = getTaxRules(DEFAULT_TAX_YEAR), personalAllowance = rules.incomeTax.personalAllowance) => {
+  const taxable = Math.max(0, salary - personalAllowance);
+  let lower = 0;
+  const bands = rules.scottishIncomeTax.bands.map(({ name, upTo, rate }) => {
+    const amount = Math.max(0, Math.min(taxable, upTo === null ? Infinity : upTo) - lower);
+    lower = upTo;
+    return { name, rate, amount, tax: amount * rate };
+  });
+  return { bands, total: bands.reduce((sum, b) => sum + b.tax, 0) };
+};
+
+/**
+ * Director salary run through PAYE: income tax, employee NI and the employer NI cost to the company.
+ * @param {number} salary Annual gross salary.
+ * @param {object} [rules] Tax year rules from `getTaxRules`.
+ * @param {number} [personalAllowance] Allowance to use in place of the full one, e.g. after the taper.
+ * @param {string} [residency] Key of `RESIDENCIES`; 'scotland' uses the Scottish bands.
+ * @returns {{salary: number, incomeTax: object, employeeNI: number, employerNI: number, netSalary: number}}
+ *   `incomeTax` is the band breakdown from `calculateIncomeTax` or `calculateScottishIncomeTax`.
+ */
+export const calculatePAYE = (salary, rules = getTaxRules(DEFAULT_TAX_YEAR), personalAllowance = rules.incomeTax.personalAllowance, residency = DEFAULT_RESIDENCY) => {
+  const incomeTax = residency === 'scotland'
+    ? calculateScottishIncomeTax(salary, rules, personalAllowance)
+    : calculateIncomeTax(salary, rules, personalAllowance);
+  const employeeNI = calculateEmployeeNI(salary, rules);
+  const employerNI = calculateEmployerNI(salary, rules);
+  return { salary, incomeTax, employeeNI, employerNI, netSalary: salary - incomeTax.total - employeeNI };
+};
@@ -0,0 +1,88 @@
+import {
+  calculateEmployerNI, calculateEmployeeNI, calculateIncomeTax, calculateScottishIncomeTax, calculatePAYE, getPersonalAllowance
+} from './paye';
+import { getTaxRules } from './taxRules';
+
+describe('calculateEmployerNI', () => {
+  test('is zero up to the secondary threshold', () => {
+    expect(calculateEmployerNI(5000)).toBe(0);
+  });
+
+  test('charges 15% above the secondary threshold', () => {
+    expect(calculateEmployerNI(12570)).toBeCloseTo(1135.5, 2);
+  });
+});
+
+describe('calculateEmployeeNI', () => {
+  test('is zero up to the primary threshold', () => {
+    expect(calculateEmployeeNI(12570)).toBe(0);
+  });
+
+  test('charges 8% to the upper earnings limit and 2% above it', () => {
+    expect(calculateEmployeeNI(50270)).toBeCloseTo(3016, 2);
+    expect(calculateEmployeeNI(60000)).toBeCloseTo(3016 + 194.6, 2);
+  });
+});
+
+describe('calculateIncomeTax', () => {
+  test('is covered by the personal allowance at £12,570', () => {
+    expect(calculateIncomeTax(12570).total).toBe(0);
+  });
+
+  test('splits income across the basic, higher and additional bands', () => {
+    const tax = calculateIncomeTax(150000);
+    expect(tax.basic).toBe(37700);
+    expect(tax.higher).toBe(74870);
+    expect(tax.additional).toBe(24860);
+    expect(tax.total).toBeCloseTo(7540 + 29948 + 11187, 2);
+  });
+});
+
+describe('calculatePAYE', () => {
+  test('nets income tax and employee NI off the salary', () => {
+    const paye = calculatePAYE(50270, getTaxRules('2025'));
+    expect(paye.incomeTax.total).toBeCloseTo(7540, 2);
+    expect(paye.employeeNI).toBeCloseTo(3016, 2);
+    expect(paye.employerNI).toBeCloseTo(6790.5, 2);
+    expect(paye.netSalary).toBeCloseTo(50270 - 7540 - 3016, 2);
+  });
+});
+
+describe('getPersonalAllowance', () => {
+  test('keeps the full allowance up to £100,000', () => {
+    expect(getPersonalAllowance(100000)).toBe(12570);
+  });
+
+  test('loses £1 for every £2 above £100,000 and is gone by £125,140', () => {
+    expect(getPersonalAllowance(110000)).toBe(7570);
+    expect(getPersonalAllowance(125140)).toBe(0);
+    expect(getPersonalAllowance(200000)).toBe(0);
+  });
+
+  test('shifts the higher rate threshold down when the allowance is tapered', () => {
+    const tax = calculateIncomeTax(110000, getTaxRules('2025'), 7570);
+    expect(tax.basic).toBe(37700);
+    expect(tax.higher).toBe(110000 - 7570 - 37700);
+  });
+});
+
+describe('calculateScottishIncomeTax', () => {
+  test('splits 2025/26 taxable income across the six Scottish bands', () => {
+    const tax = calculateScottishIncomeTax(150000, getTaxRules('2025'), 0);
+    expect(tax.bands.map(b => b.amount)).toEqual([2827, 12094, 16171, 31338, 62710, 24860]);
+    expect(tax.total).toBeCloseTo(
+      2827 * 0.19 + 12094 * 0.2 + 16171 * 0.21 + 31338 * 0.42 + 62710 * 0.45 + 24860 * 0.48, 6
+    );
+  });
+
+  test('uses the wider 2026/27 starter and basic bands', () => {
+    const tax = calculateScottishIncomeTax(30000, getTaxRules('2026'));
+    expect(tax.bands.map(b => b.amount)).toEqual([3967, 12989, 474, 0, 0, 0]);
+  });
+
+  test('is selected by calculatePAYE for Scottish residents', () => {
+    const paye = calculatePAYE(50000, getTaxRules('2025'), undefined, 'scotland');
+    expect(paye.incomeTax.total).toBeCloseTo(calculateScottishIncomeTax(50000, getTaxRules('2025')).total, 6);
+    expect(paye.employeeNI).toBeCloseTo(calculateEmployeeNI(50000), 6);
+  });
+});
@@ -0,0 +1,67 @@
+import { calculateDrawdown, projectPension } from './pension';
+
+describe('projectPension', () => {
+  test('grows the opening balance then adds the contribution each year', () => {
+    const rows = projectPension({ startBalance: 10000, annualContribution: 1000, growthRate: 0.1, currentAge: 40, years: 2 });
+    expect(rows).toEqual([
+      { year: 1, age: 40, contrib: 1000, start: 10000, growth: 1000, fees: 0, end: 12000, realEnd: 12000, milestones: [] },
+      { year: 2, age: 41, contrib: 1000, start: 12000, growth: 1200, fees: 0, end: 14200, realEnd: 14200, milestones: [] }
+    ]);
+  });
+
+  test('flags only the first year the pot reaches £1M by default', () => {
+    const rows = projectPension({ startBalance: 900000, annualContribution: 60000, growthRate: 0, currentAge: 50 });
+    expect(rows).toHaveLength(25);
+    expect(rows.filter(r => r.milestones.length > 0).map(r => r.year)).toEqual([2]);
+  });
+
+  test('flags each user-defined milestone once, in the year it is first reached', () => {
+    const rows = projectPension({ startBalance: 0, annualContribution: 100000, growthRate: 0, currentAge: 30, years: 5, milestones: [250000, 100000, 150000] });
+    expect(rows.map(r => r.milestones)).toEqual([[100000], [150000], [250000], [], []]);
+  });
+
+  test('projects up to the retirement age when one is given', () => {
+    const rows = projectPension({ startBalance: 0, annualContribution: 1000, growthRate: 0, currentAge: 55, retirementAge: 60 });
+    expect(rows).toHaveLength(5);
+    expect(rows[4].age).toBe(59);
+  });
+
+  test('escalates contributions, deducts fees and deflates to today\'s money', () => {
+    const rows = projectPension({
+      startBalance: 10000, annualContribution: 1000, growthRate: 0.05, currentAge: 40, years: 2,
+      contributionEscalation: 0.1, feeRate: 0.01, inflationRate: 0.02
+    });
+    expect(rows[0].fees).toBe(100);
+    expect(rows[0].end).toBeCloseTo(11400, 6);
+    expect(rows[1].contrib).toBeCloseTo(1100, 6);
+    expect(rows[1].end).toBeCloseTo(11400 * 1.04 + 1100, 6);
+    expect(rows[1].realEnd).toBeCloseTo(rows[1].end / 1.0404, 6);
+  });
+});
+
+describe('calculateDrawdown', () => {
+  test('takes a quarter tax free and taxes the withdrawal from the rest', () => {
+    const result = calculateDrawdown(800000, { withdrawalRate: 0.04 });
+    expect(result.lumpSum).toBe(200000);
+    expect(result.drawdownPot).toBe(600000);
+    expect(result.annualWithdrawal).toBe(24000);
+    expect(result.incomeTax).toBeCloseTo((24000 - 12570) * 0.2, 6);
+    expect(result.netWithdrawal).toBeCloseTo(24000 - 2286, 6);
+  });
+
+  test('caps the lump sum at the lump sum allowance', () => {
+    expect(calculateDrawdown(2000000).lumpSum).toBe(268275);
+  });
+
+  test('taxes the withdrawal on top of other retirement income', () => {
+    const result = calculateDrawdown(400000, { withdrawalRate: 0.04, otherIncome: 12570 });
+    expect(result.incomeTax).toBeCloseTo(12000 * 0.2, 6);
+  });
+
+  test('tapers the personal allowance away on a large withdrawal', () => {
+    // £150,000 a year loses the whole allowance, so the basic band starts at zero
+    const result = calculateDrawdown(268275 + 3000000, { withdrawalRate: 0.05 });
+    expect(result.annualWithdrawal).toBeCloseTo(150000, 6);
+    expect(result.incomeTax).toBeCloseTo(37700 * 0.2 + (125140 - 37700) * 0.4 + (150000 - 125140) * 0.45, 6);
+  });
+});
@@ -0,0 +1,77 @@
+import { TAX_YEAR_RULES, getTaxRules } from './taxRules';
+import { calculatePAYE } from './paye';
+
+// Standard annual allowance for years before the registry starts, used for carry-forward
+const HISTORIC_ANNUAL_ALLOWANCE = {
+  '2020': 40000,
+  '2021': 40000,
+  '2022': 40000,
+  '2023': 60000,
+  '2024': 60000
+};
+
+const CARRY_FORWARD_YEARS = 3;
+
+const standardAllowanceFor = (taxYear) => TAX_YEAR_RULES[taxYear]
+  ? TAX_YEAR_RULES[taxYear].pensionAllowance.annualAllowance
+  : HISTORIC_ANNUAL_ALLOWANCE[taxYear] || 0;
+
+const yearLabel = (taxYear) => `${taxYear}/${String(Number(taxYear) + 1).slice(2)}`;
+
+/**
+ * Annual allowance after the taper for high earners.
+ * @param {number} thresholdIncome Personal income excluding employer pension contributions.
+ * @param {number} adjustedIncome Threshold income plus employer pension contributions.
+ * @param {object} rules Tax year rules from `getTaxRules`.
+ * @returns {number} The tapered annual allowance.
+ */
+export const getAnnualAllowance = (thresholdIncome, adjustedIncome, rules) => {
+  const { annualAllowance, thresholdIncome: thresholdLimit, adjustedIncomeLimit, minimumAllowance } = rules.pensionAllowance;
+  if (thresholdIncome <= thresholdLimit) return annualAllowance;
+  const reduction = Math.max(0, adjustedIncome - adjustedIncomeLimit) / 2;
+  return Math.max(minimumAllowance, annualAllowance - reduction);
+};
+
+/**
+ * Checks a year's pension contributions against the annual allowance, carry-forward of unused allowance
+ * from the previous three years, and the taper. Anything left over is charged at the director's
+ * marginal income tax rates as the annual allowance charge.
+ * @param {object} scenario Result of `calculateScenario`; `pension` is the contribution being tested.
+ * @param {number[]} [priorContributions] Contributions for the three previous tax years, oldest first.
+ * @param {number} [contribution] Contribution to test in place of `scenario.pension`.
+ * @returns {{annualAllowance: number, tapered: boolean, thresholdIncome: number, adjustedIncome: number,
+ *   carryForward: object[], available: number, contribution: number, excess: number, charge: number,
+ *   headroom: number}} `carryForward` rows are `{taxYear, label, allowance, contributed, unused, used}`;
+ *   `available` is this year's allowance plus all unused carry-forward, `headroom` what is left of it.
+ */
+export const checkPensionAllowance = (scenario, priorContributions = [], contribution = scenario.pension) => {
+  const rules = getTaxRules(scenario.taxYear);
+  const thresholdIncome = scenario.adjustedNetIncome;
+  const adjustedIncome = thresholdIncome + contribution;
+  const annualAllowance = getAnnualAllowance(thresholdIncome, adjustedIncome, rules);
+
+  // This year's allowance is used first, then unused allowance from the earliest year
+  let toCover = Math.max(0, contribution - annualAllowance);
+  const carryForward = Array.from({ length: CARRY_FORWARD_YEARS }, (_, i) => {
+    const taxYear = String(Number(scenario.taxYear) - CARRY_FORWARD_YEARS + i);
+    const allowance = standardAllowanceFor(taxYear);
+    const contributed = priorContributions[i] || 0;
+    const unused = Math.max(0, allowance - contributed);
+    const used = Math.min(unused, toCover);
+    toCover -= used;
+    return { taxYear, label: yearLabel(taxYear), allowance, contributed, unused, used };
+  });
+
+  const available = annualAllowance + carryForward.reduce((sum, y) => sum + y.unused, 0);
+  const excess = Math.max(0, contribution - available);
+
+  // The excess is taxed as the top slice of income at the director's own rates
+  const taxOn = (income) => calculatePAYE(income, rules, scenario.personalAllowance, scenario.residency).incomeTax.total;
+  const charge = excess > 0 ? taxOn(thresholdIncome + excess) - taxOn(thresholdIncome) : 0;
+
+  return {
+    annualAllowance, tapered: annualAllowance < rules.pensionAllowance.annualAllowance, thresholdIncome,
+    adjustedIncome, carryForward, available, contribution, excess, charge,
+    headroom: Math.max(0, available - contribution)
+  };
+};
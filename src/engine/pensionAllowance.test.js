@@ -0,0 +1,48 @@
+import { checkPensionAllowance, getAnnualAllowance } from './pensionAllowance';
+import { calculateScenario } from './scenario';
+import { getTaxRules } from './taxRules';
+
+describe('getAnnualAllowance', () => {
+  const rules = getTaxRules('2025');
+
+  test('is £60,000 while threshold income is at or below £200,000', () => {
+    expect(getAnnualAllowance(200000, 400000, rules)).toBe(60000);
+  });
+
+  test('tapers £1 for every £2 of adjusted income over £260,000', () => {
+    expect(getAnnualAllowance(210000, 280000, rules)).toBe(50000);
+  });
+
+  test('never drops below the £10,000 minimum', () => {
+    expect(getAnnualAllowance(300000, 400000, rules)).toBe(10000);
+  });
+});
+
+describe('checkPensionAllowance', () => {
+  test('has headroom for a contribution inside the annual allowance', () => {
+    const scenario = calculateScenario(150000, 40000, 0, '2025');
+    const check = checkPensionAllowance(scenario);
+    expect(check.available).toBe(60000 + 60000 + 60000 + 40000);
+    expect(check.excess).toBe(0);
+    expect(check.headroom).toBe(check.available - 40000);
+  });
+
+  test('uses carry-forward from the earliest year first', () => {
+    const scenario = calculateScenario(200000, 90000, 0, '2025');
+    const check = checkPensionAllowance(scenario, [30000, 60000, 60000]);
+    expect(check.carryForward.map(y => y.label)).toEqual(['2022/23', '2023/24', '2024/25']);
+    expect(check.carryForward[0].unused).toBe(10000);
+    expect(check.carryForward[0].used).toBe(10000);
+    expect(check.available).toBe(70000);
+    expect(check.excess).toBe(20000);
+  });
+
+  test('charges the excess at the director’s marginal rates', () => {
+    const scenario = calculateScenario(120000, 70000, 0, '2025');
+    const check = checkPensionAllowance(scenario, [40000, 60000, 60000]);
+    expect(check.excess).toBe(10000);
+    // Salary and dividends are under £50,270, so the excess straddles the basic and higher rate bands
+    const basicLeft = Math.max(0, 50270 - scenario.adjustedNetIncome);
+    expect(check.charge).toBeCloseTo(basicLeft * 0.2 + (10000 - basicLeft) * 0.4, 6);
+  });
+});
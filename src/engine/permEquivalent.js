@@ -0,0 +1,79 @@
+import { DEFAULT_RESIDENCY, DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+import { calculatePAYE, getPersonalAllowance } from './paye';
+import { DEFAULT_SALARY, calculateScenario } from './scenario';
+
+const SEARCH_MAX = 1000000;
+
+// Smallest x in [0, SEARCH_MAX] with fn(x) >= target, for a non-decreasing fn
+const solveIncreasing = (fn, target) => {
+  let lo = 0;
+  let hi = SEARCH_MAX;
+  if (fn(hi) < target) return hi;
+  while (hi - lo > 0.001) {
+    const mid = (lo + hi) / 2;
+    if (fn(mid) >= target) hi = mid;
+    else lo = mid;
+  }
+  return hi;
+};
+
+/**
+ * Take-home and package value of a permanent PAYE job.
+ * @param {number} grossSalary Annual gross salary.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {number} [options.employerPensionRate] Employer pension as a fraction of salary.
+ * @param {number} [options.benefitsValue] Annual value of other benefits (health cover, car, etc.).
+ * @param {string} [options.residency] Key of `RESIDENCIES`.
+ * @returns {{grossSalary: number, incomeTax: number, employeeNI: number, employerPension: number,
+ *   benefitsValue: number, annualNet: number, monthlyNet: number, totalValue: number}}
+ *   `totalValue` adds employer pension and benefits to the take-home pay.
+ */
+export const calculatePermPackage = (grossSalary, taxYear = DEFAULT_TAX_YEAR, { employerPensionRate = 0, benefitsValue = 0, residency = DEFAULT_RESIDENCY } = {}) => {
+  const rules = getTaxRules(taxYear);
+  const paye = calculatePAYE(grossSalary, rules, getPersonalAllowance(grossSalary, rules), residency);
+  const employerPension = grossSalary * employerPensionRate;
+  const annualNet = paye.netSalary;
+  return {
+    grossSalary, incomeTax: paye.incomeTax.total, employeeNI: paye.employeeNI, employerPension, benefitsValue,
+    annualNet, monthlyNet: annualNet / 12, totalValue: annualNet + employerPension + benefitsValue
+  };
+};
+
+/**
+ * Gross perm salary whose package matches a contractor figure.
+ * @param {number} target Contractor `annualNet` or `totalValue` to match.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options] As for `calculatePermPackage`, plus:
+ * @param {string} [options.match] 'annualNet' or 'totalValue'.
+ * @returns {object} The matching `calculatePermPackage` result.
+ */
+export const findPermEquivalentSalary = (target, taxYear = DEFAULT_TAX_YEAR, { match = 'annualNet', ...options } = {}) => {
+  const salary = solveIncreasing(s => calculatePermPackage(s, taxYear, options)[match], target);
+  return calculatePermPackage(salary, taxYear, options);
+};
+
+/**
+ * Day rate a limited company contractor needs to match a perm salary offer.
+ * @param {number} permSalary Gross salary of the perm offer.
+ * @param {number} workingDays Days billed per year.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options] Perm options as for `calculatePermPackage`, plus:
+ * @param {string} [options.match] 'annualNet' or 'totalValue'.
+ * @param {number} [options.annualPension] Contractor's employer pension contribution.
+ * @param {number} [options.yearlyExpenses] Contractor's company expenses.
+ * @param {number} [options.salary] Contractor's director salary.
+ * @param {object} [options.vat] Contractor's VAT registration, as the options of `calculateVat`.
+ * @returns {{dayRate: number, turnover: number, scenario: object, perm: object}} The day rate, the
+ *   `calculateScenario` result at that rate and the perm package it matches.
+ */
+export const findDayRateForPermSalary = (permSalary, workingDays, taxYear = DEFAULT_TAX_YEAR, {
+  match = 'annualNet', annualPension = 0, yearlyExpenses = 0, salary = DEFAULT_SALARY, vat, ...permOptions
+} = {}) => {
+  const perm = calculatePermPackage(permSalary, taxYear, permOptions);
+  const { residency = DEFAULT_RESIDENCY } = permOptions;
+  const scenarioAt = (dayRate) =>
+    calculateScenario(dayRate * workingDays, annualPension, yearlyExpenses, taxYear, salary, residency, vat);
+  const dayRate = workingDays > 0 ? solveIncreasing(rate => scenarioAt(rate)[match], perm[match]) : 0;
+  return { dayRate, turnover: dayRate * workingDays, scenario: scenarioAt(dayRate), perm };
+};
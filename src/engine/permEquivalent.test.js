@@ -0,0 +1,45 @@
+import { calculatePermPackage, findPermEquivalentSalary, findDayRateForPermSalary } from './permEquivalent';
+
+describe('calculatePermPackage', () => {
+  test('adds employer pension and benefits to take-home pay', () => {
+    const perm = calculatePermPackage(50270, '2025', { employerPensionRate: 0.05, benefitsValue: 1000 });
+    expect(perm.annualNet).toBeCloseTo(50270 - 7540 - 3016, 6);
+    expect(perm.employerPension).toBeCloseTo(2513.5, 6);
+    expect(perm.totalValue).toBeCloseTo(perm.annualNet + 2513.5 + 1000, 6);
+  });
+});
+
+describe('findPermEquivalentSalary', () => {
+  test('finds the gross salary that gives a target take-home', () => {
+    const perm = findPermEquivalentSalary(39714, '2025');
+    expect(perm.grossSalary).toBeCloseTo(50270, 0);
+  });
+
+  test('needs a lower salary when matching total value with a generous pension', () => {
+    const onNet = findPermEquivalentSalary(60000, '2025', { employerPensionRate: 0.1 });
+    const onValue = findPermEquivalentSalary(60000, '2025', { employerPensionRate: 0.1, match: 'totalValue' });
+    expect(onValue.totalValue).toBeCloseTo(60000, 1);
+    expect(onValue.grossSalary).toBeLessThan(onNet.grossSalary);
+  });
+});
+
+describe('findDayRateForPermSalary', () => {
+  test('finds the day rate whose net matches the perm offer', () => {
+    const { dayRate, scenario, perm } = findDayRateForPermSalary(80000, 228, '2025', { yearlyExpenses: 2000 });
+    expect(scenario.turnover).toBeCloseTo(dayRate * 228, 6);
+    expect(scenario.annualNet).toBeCloseTo(perm.annualNet, 0);
+  });
+
+  test('returns zero with no working days', () => {
+    expect(findDayRateForPermSalary(80000, 0, '2025').dayRate).toBe(0);
+  });
+});
+
+describe('VAT in findDayRateForPermSalary', () => {
+  test('needs a lower day rate when the Flat Rate surplus adds to profit', () => {
+    const vat = { scheme: 'flatRate', sector: 'itConsultancy' };
+    const withVat = findDayRateForPermSalary(80000, 228, '2025', { vat });
+    expect(withVat.scenario.vat.flatRateSurplus).toBeGreaterThan(0);
+    expect(withVat.dayRate).toBeLessThan(findDayRateForPermSalary(80000, 228, '2025').dayRate);
+  });
+});
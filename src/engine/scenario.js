@@ -0,0 +1,107 @@
+import { DEFAULT_RESIDENCY, DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+import { calculateEmployerNI, calculatePAYE, getPersonalAllowance } from './paye';
+import { calculateDividendTax } from './dividends';
+import { calculateCorporationTax, getMarginalCTRate } from './corporationTax';
+import { calculateVat } from './vat';
+
+export const DEFAULT_SALARY = 12570;
+
+/**
+ * One year of a limited company paying a director salary and distributing all post-CT profit as dividends.
+ * @param {number} turnover Annual company turnover.
+ * @param {number} annualPension Employer pension contribution for the year.
+ * @param {number} yearlyExpenses Allowable company expenses for the year.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {number} [salary] Annual director salary.
+ * @param {string} [residency] Key of `RESIDENCIES`; Scottish residency changes the salary bands only.
+ * @param {object} [vat] VAT registration, as the options of `calculateVat`; a Flat Rate surplus adds to profit.
+ * @returns {object} Company figures (`vat`, `profit`, `ct`, `afterCt`, `marginalRate`), PAYE figures (`salary`,
+ *   `incomeTax`, `incomeTaxBands`, `employeeNI`, `employerNI`, `netSalary`), the allowance taper
+ *   (`adjustedNetIncome`, `personalAllowance`, `allowanceLost`, `taperCost`), dividend bands and tax
+ *   (`allowanceDiv`, `basicDiv`, `higherDiv`, `additionalDiv` with their `*Tax`, `totalDivTax`, `netDiv`) and
+ *   totals (`annualNet`, `monthlyNet`, `totalValue`, `totalTax`, `effectiveTaxRate`).
+ */
+export const calculateScenario = (turnover, annualPension, yearlyExpenses, taxYear = DEFAULT_TAX_YEAR, salary = DEFAULT_SALARY, residency = DEFAULT_RESIDENCY, vat = {}) => {
+  const rules = getTaxRules(taxYear);
+  const employerNI = calculateEmployerNI(salary, rules);
+  const vatReturn = calculateVat(turnover, taxYear, vat);
+  const profit = turnover + vatReturn.flatRateSurplus - salary - employerNI - annualPension - yearlyExpenses;
+  const ct = profit > 0 ? calculateCorporationTax(profit, rules) : 0;
+  const afterCt = profit - ct;
+
+  // Adjusted net income drives the personal allowance taper; employer pension contributions sit outside it
+  const adjustedNetIncome = salary + Math.max(0, afterCt);
+  const personalAllowance = getPersonalAllowance(adjustedNetIncome, rules);
+  const allowanceLost = rules.incomeTax.personalAllowance - personalAllowance;
+
+  const paye = calculatePAYE(salary, rules, personalAllowance, residency);
+  const { employeeNI, netSalary } = paye;
+  const incomeTax = paye.incomeTax.total;
+
+  // Dividends sit on top of salary: any unused personal allowance first, then the remaining UK bands
+  const dividendTax = calculateDividendTax(afterCt, salary, rules, personalAllowance);
+  const { totalDivTax } = dividendTax;
+  const { basic: BASIC_DIV, higher: HIGHER_DIV, additional: ADDITIONAL_DIV } = rules.dividends.rates;
+  const netDiv = afterCt - totalDivTax;
+
+  // Extra income and dividend tax caused by the lost allowance (the "60% trap" between £100k and £125,140)
+  const taperCost = allowanceLost > 0
+    ? incomeTax + totalDivTax - calculatePAYE(salary, rules, undefined, residency).incomeTax.total
+      - calculateDividendTax(afterCt, salary, rules).totalDivTax
+    : 0;
+
+  const annualNet = netSalary + netDiv;
+  const monthlyNet = annualNet / 12;
+  const totalValue = annualNet + annualPension;
+  const totalTax = ct + employerNI + employeeNI + incomeTax + totalDivTax;
+  const effectiveTaxRate = turnover > 0 ? totalTax / turnover : 0;
+  const ctRate = profit > 0 ? ct / profit : 0;
+
+  // Determine Marginal Rate for Optimisation Calcs
+  const marginalRate = getMarginalCTRate(profit, rules);
+
+  return {
+    taxYear, residency, turnover, vat: vatReturn, pension: annualPension, salary, incomeTax, incomeTaxBands: paye.incomeTax, employeeNI,
+    netSalary, employerNI, yearlyExpenses, profit, ct, afterCt, adjustedNetIncome, personalAllowance,
+    allowanceLost, taperCost, ...dividendTax, netDiv, annualNet, monthlyNet,
+    totalValue, totalTax, effectiveTaxRate, ctRate, marginalRate, BASIC_DIV, HIGHER_DIV, ADDITIONAL_DIV
+  };
+};
+
+const SALARY_SEARCH_STEP = 100;
+const SALARY_SEARCH_MAX = 150000;
+
+/**
+ * Searches salary levels, with the dividend that follows from each, for the split that maximises `objective`.
+ * @param {number} turnover Annual company turnover.
+ * @param {number} annualPension Employer pension contribution for the year.
+ * @param {number} yearlyExpenses Allowable company expenses for the year.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {string} [options.objective] Scenario field to maximise, e.g. 'annualNet' or 'totalValue'.
+ * @param {number} [options.runnersUp] How many alternative splits to return.
+ * @param {string} [options.residency] Key of `RESIDENCIES`.
+ * @param {object} [options.vat] VAT registration, as the options of `calculateVat`.
+ * @returns {{best: object, runnersUp: object[]}} `calculateScenario` results for the winning and alternative salaries.
+ */
+export const findOptimalSalary = (turnover, annualPension, yearlyExpenses, taxYear = DEFAULT_TAX_YEAR, { objective = 'annualNet', runnersUp = 3, residency = DEFAULT_RESIDENCY, vat } = {}) => {
+  const { incomeTax, employeeNI, employerNI } = getTaxRules(taxYear);
+  const candidates = new Set([
+    0, employerNI.secondaryThreshold, employeeNI.primaryThreshold, incomeTax.personalAllowance,
+    incomeTax.basicRateLimit, incomeTax.taperThreshold, incomeTax.additionalRateThreshold
+  ]);
+  for (let s = 0; s <= SALARY_SEARCH_MAX; s += SALARY_SEARCH_STEP) candidates.add(s);
+
+  const results = [...candidates]
+    .map(s => calculateScenario(turnover, annualPension, yearlyExpenses, taxYear, s, residency, vat))
+    .filter(r => r.salary === 0 || r.profit >= 0)
+    .sort((a, b) => b[objective] - a[objective] || a.salary - b.salary);
+
+  // Runners-up are kept at least £1k of salary apart so they read as genuinely different splits
+  const picked = [];
+  for (const r of results) {
+    if (picked.length > runnersUp) break;
+    if (picked.every(p => Math.abs(p.salary - r.salary) >= 1000)) picked.push(r);
+  }
+  return { best: picked[0], runnersUp: picked.slice(1) };
+};
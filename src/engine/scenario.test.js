@@ -0,0 +1,102 @@
+import { calculateScenario, findOptimalSalary } from './scenario';
+import { calculateEmployerNI } from './paye';
+import { TAX_YEAR_RULES } from './taxRules';
+
+// Turnover that leaves exactly `afterCt` of dividends with a £12,570 salary and profit under £50k
+const turnoverForDividend = (afterCt) => afterCt / 0.81 + 12570 + 1135.5;
+
+describe('calculateScenario', () => {
+  test('leaves the first £500 of dividends untaxed', () => {
+    const result = calculateScenario(turnoverForDividend(500), 0, 0, '2025');
+    expect(result.afterCt).toBeCloseTo(500, 6);
+    expect(result.totalDivTax).toBeCloseTo(0, 6);
+  });
+
+  test.each([
+    ['2025', 0.0875],
+    ['2026', 0.1075]
+  ])('taxes basic-band dividends at the %s rate', (taxYear, rate) => {
+    const result = calculateScenario(turnoverForDividend(10500), 0, 0, taxYear);
+    expect(result.BASIC_DIV).toBe(rate);
+    expect(result.totalDivTax).toBeCloseTo(10000 * rate, 6);
+  });
+
+  test.each([
+    ['2025', 0.3375],
+    ['2026', 0.3575]
+  ])('taxes dividends above the basic rate limit at the %s higher rate', (taxYear, rate) => {
+    const result = calculateScenario(90000, 0, 0, taxYear);
+    expect(result.basicDiv).toBe(37700);
+    expect(result.higherDiv).toBeCloseTo(result.afterCt - 37700, 6);
+    expect(result.higherTax).toBeCloseTo(result.higherDiv * rate, 6);
+  });
+
+  test('uses unused personal allowance against dividends for a low salary', () => {
+    const result = calculateScenario(80000, 0, 0, '2025', 9100);
+    expect(result.allowanceDiv).toBe(3470);
+    expect(result.basicDiv).toBe(37700);
+  });
+
+  test('deducts salary, employer NI, pension and expenses before corporation tax', () => {
+    const result = calculateScenario(100000, 10000, 5000, '2025');
+    expect(result.profit).toBeCloseTo(100000 - 12570 - 1135.5 - 10000 - 5000, 6);
+    expect(result.marginalRate).toBeCloseTo(0.265, 10);
+    expect(result.totalValue).toBeCloseTo(result.annualNet + 10000, 6);
+  });
+
+  test('covers every registered tax year', () => {
+    Object.keys(TAX_YEAR_RULES).forEach(taxYear => {
+      const result = calculateScenario(80000, 0, 0, taxYear);
+      expect(result.BASIC_DIV).toBe(TAX_YEAR_RULES[taxYear].dividends.rates.basic);
+      expect(result.annualNet).toBeGreaterThan(0);
+    });
+  });
+});
+
+describe('findOptimalSalary', () => {
+  test('returns a best split no worse than any alternative', () => {
+    const { best, runnersUp } = findOptimalSalary(100000, 0, 0, '2025');
+    expect(runnersUp).toHaveLength(3);
+    runnersUp.forEach(r => expect(best.annualNet).toBeGreaterThanOrEqual(r.annualNet));
+    expect(best.annualNet).toBeGreaterThanOrEqual(calculateScenario(100000, 0, 0, '2025', 0).annualNet);
+  });
+});
+
+describe('personal allowance taper', () => {
+  test('tapers the allowance once salary plus dividends pass £100k', () => {
+    const result = calculateScenario(160000, 0, 0, '2025');
+    expect(result.adjustedNetIncome).toBeCloseTo(result.salary + result.afterCt, 6);
+    expect(result.personalAllowance).toBeCloseTo(Math.max(0, 12570 - (result.adjustedNetIncome - 100000) / 2), 6);
+    expect(result.incomeTax).toBeGreaterThan(0);
+    expect(result.taperCost).toBeGreaterThan(0);
+  });
+
+  test('charges about 60% on salary inside the taper band', () => {
+    // Turnover that pays the salary and employer NI and nothing else, so adjusted net income is the salary
+    const at = (salary) => calculateScenario(salary + calculateEmployerNI(salary), 0, 0, '2025', salary);
+    const lower = at(104000);
+    const upper = at(106000);
+    expect((upper.incomeTax - lower.incomeTax) / 2000).toBeCloseTo(0.6, 2);
+  });
+});
+
+describe('Scottish residency', () => {
+  test('changes salary tax but keeps UK dividend bands', () => {
+    const ruk = calculateScenario(90000, 0, 0, '2025', 30000);
+    const scot = calculateScenario(90000, 0, 0, '2025', 30000, 'scotland');
+    expect(scot.incomeTax).not.toBeCloseTo(ruk.incomeTax, 2);
+    expect(scot.basicDiv).toBe(ruk.basicDiv);
+    expect(scot.totalDivTax).toBeCloseTo(ruk.totalDivTax, 6);
+    expect(scot.residency).toBe('scotland');
+  });
+});
+
+describe('VAT in calculateScenario', () => {
+  test('adds the Flat Rate VAT surplus to company profit', () => {
+    const base = calculateScenario(100000, 0, 0, '2025');
+    const flatRate = calculateScenario(100000, 0, 0, '2025', undefined, undefined, { scheme: 'flatRate', sector: 'itConsultancy' });
+    expect(flatRate.vat.flatRateSurplus).toBeCloseTo(2600, 6);
+    expect(flatRate.profit).toBeCloseTo(base.profit + 2600, 6);
+    expect(flatRate.turnover).toBe(100000);
+  });
+});
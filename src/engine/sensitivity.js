@@ -0,0 +1,60 @@
+import { DEFAULT_RESIDENCY, DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+import { DEFAULT_SALARY, calculateScenario } from './scenario';
+
+const ctBandFor = (profit, { lowerLimit, upperLimit }) => {
+  if (profit <= lowerLimit) return 'small';
+  return profit <= upperLimit ? 'marginal' : 'main';
+};
+
+const dividendBandFor = ({ additionalDiv, higherDiv }) => {
+  if (additionalDiv > 0) return 'additional';
+  return higherDiv > 0 ? 'higher' : 'basic';
+};
+
+/**
+ * Grid of `calculateScenario` results over a range of turnovers (rows) and monthly pension contributions
+ * (columns). Each cell records the CT band its profit falls in and the top dividend band it reaches, and
+ * flags the cells where either changes from the neighbouring cell to the left or above, so the cliff
+ * edges can be picked out.
+ * @param {number[]} turnovers Row values, ascending.
+ * @param {number[]} monthlyPensions Column values, ascending.
+ * @param {number} yearlyExpenses Allowable company expenses for the year.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {number} [options.salary] Annual director salary.
+ * @param {string} [options.residency] Key of `RESIDENCIES`.
+ * @param {string} [options.metric] Scenario field reported as each cell's `value`, e.g. 'monthlyNet'.
+ * @param {object} [options.vat] VAT registration, as the options of `calculateVat`.
+ * @returns {{rows: Array<{turnover: number, cells: Array<{monthlyPension: number, value: number,
+ *   ctBand: string, dividendBand: string, crossesMarginalRelief: boolean, crossesHigherDividend: boolean}>}>,
+ *   min: number, max: number}} `min` and `max` span every cell's `value`.
+ */
+export const buildSensitivityGrid = (turnovers, monthlyPensions, yearlyExpenses, taxYear = DEFAULT_TAX_YEAR, {
+  salary = DEFAULT_SALARY, residency = DEFAULT_RESIDENCY, metric = 'monthlyNet', vat
+} = {}) => {
+  const { corporationTax } = getTaxRules(taxYear);
+  const rows = turnovers.map(turnover => ({
+    turnover,
+    cells: monthlyPensions.map(monthlyPension => {
+      const scenario = calculateScenario(turnover, monthlyPension * 12, yearlyExpenses, taxYear, salary, residency, vat);
+      return {
+        monthlyPension,
+        value: scenario[metric],
+        ctBand: ctBandFor(scenario.profit, corporationTax),
+        dividendBand: dividendBandFor(scenario)
+      };
+    })
+  }));
+
+  // Marginal relief starts when profit leaves the small profits band; the higher rate when dividends leave the basic band
+  const inMarginalRelief = (cell) => cell.ctBand !== 'small';
+  const inHigherDividend = (cell) => cell.dividendBand !== 'basic';
+  rows.forEach((row, r) => row.cells.forEach((cell, c) => {
+    const neighbours = [row.cells[c - 1], rows[r - 1] && rows[r - 1].cells[c]].filter(Boolean);
+    cell.crossesMarginalRelief = neighbours.some(n => inMarginalRelief(n) !== inMarginalRelief(cell));
+    cell.crossesHigherDividend = neighbours.some(n => inHigherDividend(n) !== inHigherDividend(cell));
+  }));
+
+  const values = rows.flatMap(row => row.cells.map(cell => cell.value));
+  return { rows, min: Math.min(...values), max: Math.max(...values) };
+};
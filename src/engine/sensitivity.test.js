@@ -0,0 +1,34 @@
+import { buildSensitivityGrid } from './sensitivity';
+import { calculateScenario } from './scenario';
+
+describe('buildSensitivityGrid', () => {
+  test('fills each cell from calculateScenario at that turnover and monthly pension', () => {
+    const grid = buildSensitivityGrid([80000, 120000], [0, 1000], 2000, '2025');
+    expect(grid.rows).toHaveLength(2);
+    expect(grid.rows[1].turnover).toBe(120000);
+    expect(grid.rows[1].cells[1].value).toBeCloseTo(calculateScenario(120000, 12000, 2000, '2025', 12570).monthlyNet, 6);
+    expect(grid.min).toBeCloseTo(grid.rows[0].cells[1].value, 6);
+    expect(grid.max).toBeCloseTo(grid.rows[1].cells[0].value, 6);
+  });
+
+  test('reports the requested metric', () => {
+    const grid = buildSensitivityGrid([100000], [500], 0, '2025', { metric: 'totalValue' });
+    expect(grid.rows[0].cells[0].value).toBeCloseTo(calculateScenario(100000, 6000, 0, '2025', 12570).totalValue, 6);
+  });
+
+  test('flags the cells where profit crosses into marginal relief', () => {
+    // Profit is turnover less salary, employer NI (£1,135.50) and pension
+    const grid = buildSensitivityGrid([60000, 70000], [0, 1000], 0, '2025');
+    const bands = grid.rows.map(row => row.cells.map(cell => cell.ctBand));
+    expect(bands).toEqual([['small', 'small'], ['marginal', 'small']]);
+    const edges = grid.rows.map(row => row.cells.map(cell => cell.crossesMarginalRelief));
+    expect(edges).toEqual([[false, false], [true, true]]);
+  });
+
+  test('flags the cells where dividends reach the higher band', () => {
+    const grid = buildSensitivityGrid([60000, 80000], [0], 0, '2025');
+    expect(grid.rows.map(row => row.cells[0].dividendBand)).toEqual(['basic', 'higher']);
+    expect(grid.rows[1].cells[0].crossesHigherDividend).toBe(true);
+    expect(grid.rows[0].cells[0].crossesHigherDividend).toBe(false);
+  });
+});
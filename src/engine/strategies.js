@@ -0,0 +1,238 @@
+import { calculateScenario } from './scenario';
+import { calculatePAYE } from './paye';
+import { checkPensionAllowance } from './pensionAllowance';
+import { formatCurrency, formatPercentage } from './format';
+
+// The scenario re-run with a different annual pension and/or extra company expenses
+const scenarioWith = (custom, { pension = custom.pension, extraExpenses = 0 }) => calculateScenario(
+  custom.turnover, pension, custom.yearlyExpenses + extraExpenses, custom.taxYear, custom.salary, custom.residency, custom.vat
+);
+
+// Extra employer pension that brings adjusted net income down to `target`, or null if pension alone cannot
+const pensionToReachIncome = (custom, target) => {
+  const withExtra = (extra) => scenarioWith(custom, { pension: custom.pension + extra });
+  let lo = 0;
+  let hi = Math.max(0, custom.profit);
+  if (withExtra(hi).adjustedNetIncome > target) return null;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) / 2;
+    if (withExtra(mid).adjustedNetIncome > target) lo = mid;
+    else hi = mid;
+  }
+  return Math.ceil(hi);
+};
+
+// Warning text when an annual pension of `pension` would go over the available annual allowance
+const allowanceWarning = (custom, pension, priorContributions) => {
+  const check = checkPensionAllowance(scenarioWith(custom, { pension }), priorContributions);
+  if (check.excess <= 0) return null;
+  return `This exceeds your available annual allowance of ${formatCurrency(check.available)} by ${formatCurrency(check.excess)}, triggering an annual allowance charge of about ${formatCurrency(check.charge)}.`;
+};
+
+// Income tax rate on a little more non-dividend income, from the band adjusted net income reaches in the
+// director's residency (Scotland has its own bands)
+const personalRate = (custom, rules) => {
+  const { bands } = calculatePAYE(custom.adjustedNetIncome + 1, rules, custom.personalAllowance, custom.residency).incomeTax;
+  const top = [...bands].reverse().find(band => band.amount > 0);
+  return top ? top.rate : 0;
+};
+
+// What the director gains when the company pays `cost` for something worth `benefit` to them, on which they
+// pay `tax`, instead of buying it from their own net income: the benefit after tax, less the net income it costs
+const benefitValue = (custom, cost, benefit, tax = 0) =>
+  benefit - tax - (custom.annualNet - scenarioWith(custom, { extraExpenses: cost }).annualNet);
+
+/**
+ * Registry of the tax strategies on the Optimise tab, keyed by id. Adding a strategy means adding an entry here.
+ * - `params` are the user-tunable amounts, each with a `label` and a `default(rules)`.
+ * - `isEligible(custom, rules, params)` says whether the strategy can be applied to this scenario. It is only
+ *   offered when `evaluate` also finds a saving.
+ * - `evaluate(custom, rules, params, context)` returns the card's `desc`, `value` (the saving, worked out by
+ *   re-running the scenario), `subtext` and an optional `warning`.
+ * - `apply(custom, rules, params)` returns the input changes: an annual `pension`, a `salary` and/or
+ *   `expenses` to add to the ledger (as `calculateExpenses` items without an id). Expense lines are tagged with
+ *   the strategy id when applied, so applying again replaces them instead of adding a second copy.
+ * `custom` is a `calculateScenario` result and `params` holds every parameter as a number.
+ */
+export const STRATEGIES = {
+  pension: {
+    title: 'Optimise for the Small Profits Rate',
+    icon: '📉',
+    params: {
+      targetProfit: { label: 'Target Profit', default: (rules) => rules.corporationTax.lowerLimit }
+    },
+    isEligible: (custom, rules, { targetProfit }) => custom.profit > targetProfit,
+    evaluate: (custom, rules, { targetProfit }, { priorPensionContributions }) => {
+      const pensionNeeded = Math.max(0, custom.profit - targetProfit);
+      const applied = scenarioWith(custom, { pension: custom.pension + pensionNeeded });
+      return {
+        desc: pensionNeeded === 0
+          ? `Great job! Your profit is already at or below ${formatCurrency(targetProfit)}, so there is no excess to move into pension.`
+          : `Contribute an extra ${formatCurrency(pensionNeeded)} to pension to bring profit down to ${formatCurrency(targetProfit)}. This saves Corporation Tax at up to ${formatPercentage(custom.marginalRate)} on that excess.`,
+        value: custom.ct - applied.ct,
+        subtext: 'Corp Tax Saved',
+        warning: pensionNeeded > 0 ? allowanceWarning(custom, custom.pension + pensionNeeded, priorPensionContributions) : null
+      };
+    },
+    apply: (custom, rules, { targetProfit }) => ({ pension: custom.pension + Math.max(0, custom.profit - targetProfit) })
+  },
+
+  taper: {
+    title: 'Escape the £100k Allowance Taper',
+    icon: '🪤',
+    params: {
+      targetIncome: { label: 'Target Adjusted Net Income', default: (rules) => rules.incomeTax.taperThreshold }
+    },
+    isEligible: (custom, rules, { targetIncome }) =>
+      custom.adjustedNetIncome > targetIncome && pensionToReachIncome(custom, targetIncome) !== null,
+    evaluate: (custom, rules, { targetIncome }, { priorPensionContributions }) => {
+      const inTaper = custom.adjustedNetIncome > targetIncome;
+      const extra = inTaper ? pensionToReachIncome(custom, targetIncome) : null;
+      if (extra === null) {
+        return {
+          desc: inTaper
+            ? `Your salary alone is above ${formatCurrency(targetIncome)}, so employer pension cannot restore the ${formatCurrency(custom.allowanceLost)} of Personal Allowance you lose.`
+            : `Your adjusted net income is under ${formatCurrency(targetIncome)}, so you keep your full Personal Allowance.`,
+          value: 0,
+          subtext: 'Total Tax Saved'
+        };
+      }
+      return {
+        desc: `You lose ${formatCurrency(custom.allowanceLost)} of Personal Allowance. Contribute an extra ${formatCurrency(extra)} to pension to bring adjusted net income back to ${formatCurrency(targetIncome)} and escape the 60% trap.`,
+        value: custom.totalTax - scenarioWith(custom, { pension: custom.pension + extra }).totalTax,
+        subtext: 'Total Tax Saved',
+        warning: allowanceWarning(custom, custom.pension + extra, priorPensionContributions)
+      };
+    },
+    apply: (custom, rules, { targetIncome }) => ({ pension: custom.pension + pensionToReachIncome(custom, targetIncome) })
+  },
+
+  ev: {
+    title: 'Company Electric Car',
+    icon: '🚗',
+    params: {
+      monthlyLease: { label: 'Monthly Lease', default: () => 600 },
+      listPrice: { label: 'List Price', default: () => 40000 }
+    },
+    isEligible: (custom, rules, { monthlyLease }) => custom.profit > 0 && monthlyLease > 0,
+    evaluate: (custom, rules, { monthlyLease, listPrice }) => {
+      const benefitInKind = listPrice * rules.benefits.electricCarRate;
+      const class1A = benefitInKind * rules.employerNI.rate;
+      return {
+        desc: `Lease an EV for ${formatCurrency(monthlyLease)}/mo through the company. The lease is deductible, and you pay tax on a benefit in kind of ${formatPercentage(rules.benefits.electricCarRate)} of the ${formatCurrency(listPrice)} list price (the company adds ${formatCurrency(class1A)} of Class 1A NI).`,
+        value: benefitValue(custom, monthlyLease * 12 + class1A, monthlyLease * 12, benefitInKind * personalRate(custom, rules)),
+        subtext: 'Better Off vs Paying Personally / yr'
+      };
+    },
+    apply: (custom, rules, { monthlyLease, listPrice }) => ({
+      expenses: [
+        { description: 'Electric car lease', category: 'travel', frequency: 'monthly', amount: monthlyLease },
+        { description: 'Class 1A NI on car benefit', category: 'other', frequency: 'annual', amount: Math.round(listPrice * rules.benefits.electricCarRate * rules.employerNI.rate) }
+      ]
+    })
+  },
+
+  trivial: {
+    title: 'Trivial Benefits',
+    icon: '🎁',
+    params: {
+      annualAmount: { label: 'Gifts per Year', default: (rules) => rules.benefits.trivialBenefitsCap }
+    },
+    isEligible: (custom, rules, { annualAmount }) => custom.profit > 0 && annualAmount > 0,
+    evaluate: (custom, rules, { annualAmount }) => {
+      const { trivialBenefitLimit, trivialBenefitsCap } = rules.benefits;
+      const amount = Math.min(annualAmount, trivialBenefitsCap);
+      return {
+        desc: `Gifts such as gift cards of up to ${formatCurrency(trivialBenefitLimit)} each are tax-free for directors, up to ${formatCurrency(trivialBenefitsCap)} a year.`,
+        value: benefitValue(custom, amount, amount),
+        subtext: 'Tax-free Extraction'
+      };
+    },
+    apply: (custom, rules, { annualAmount }) => ({
+      expenses: [{ description: 'Trivial benefits', category: 'other', frequency: 'annual', amount: Math.min(annualAmount, rules.benefits.trivialBenefitsCap) }]
+    })
+  },
+
+  wfh: {
+    title: 'Formal Home Rent',
+    icon: '🏠',
+    params: {
+      annualRent: { label: 'Annual Rent', default: () => 2400 }
+    },
+    isEligible: (custom, rules, { annualRent }) => custom.profit > 0 && annualRent > rules.benefits.homeWorkingWeekly * 52,
+    evaluate: (custom, rules, { annualRent }) => {
+      const flatRate = rules.benefits.homeWorkingWeekly * 52;
+      const flatRateValue = benefitValue(custom, flatRate, flatRate);
+      return {
+        desc: `Switch from the ${formatCurrency(rules.benefits.homeWorkingWeekly)}/wk flat rate (worth ${formatCurrency(flatRateValue)}/yr) to a formal rental agreement. The company deducts the rent, and you pay income tax on it.`,
+        value: benefitValue(custom, annualRent, annualRent, annualRent * personalRate(custom, rules)) - flatRateValue,
+        subtext: 'Extra Value vs Flat Rate'
+      };
+    },
+    apply: (custom, rules, { annualRent }) => ({
+      expenses: [{ description: 'Home office rent', category: 'useOfHome', frequency: 'annual', amount: annualRent }]
+    })
+  },
+
+  party: {
+    title: 'Annual Party',
+    icon: '🥂',
+    params: {
+      guests: { label: 'Guests incl. You', default: () => 2 }
+    },
+    isEligible: (custom, rules, { guests }) => custom.profit > 0 && guests > 0,
+    evaluate: (custom, rules, { guests }) => {
+      const cost = guests * rules.benefits.annualEventPerHead;
+      return {
+        desc: `${formatCurrency(rules.benefits.annualEventPerHead)}/head allowance. Treat yourself and your guests to a Christmas or summer event.`,
+        value: benefitValue(custom, cost, cost),
+        subtext: 'Tax-free value extracted'
+      };
+    },
+    apply: (custom, rules, { guests }) => ({
+      expenses: [{ description: 'Annual staff event', category: 'other', frequency: 'annual', amount: guests * rules.benefits.annualEventPerHead }]
+    })
+  }
+};
+
+/**
+ * Evaluates every registered strategy against a scenario.
+ * @param {object} custom Result of `calculateScenario` for the user's inputs.
+ * @param {object} rules Tax year rules from `getTaxRules`.
+ * @param {object} [options]
+ * @param {number[]} [options.priorPensionContributions] Last three years' contributions, oldest first,
+ *   for the annual allowance check.
+ * @param {object} [options.params] Parameter overrides keyed `<strategy id>.<param>`, e.g. `'ev.monthlyLease'`.
+ * @param {object} [options.applied] Deduction of the ledger lines each strategy has already added, keyed by
+ *   strategy id. An applied strategy is valued against the scenario without its lines and cannot be applied again.
+ * @returns {Array<{id: string, title: string, icon: string, desc: string, value: number, subtext: string,
+ *   params: Array<{key: string, label: string, value: number, default: number}>, applied: boolean,
+ *   canApply: boolean, changes: object|null, warning: string|null}>} Strategy cards; `changes` are the input
+ *   changes from `apply`, or null when the strategy is not eligible.
+ */
+export const buildStrategies = (custom, rules, { priorPensionContributions = [], params: overrides = {}, applied = {} } = {}) =>
+  Object.entries(STRATEGIES).map(([id, strategy]) => {
+    const params = Object.fromEntries(Object.entries(strategy.params).map(([key, param]) => {
+      const override = overrides[`${id}.${key}`];
+      return [key, override === undefined ? param.default(rules) : override];
+    }));
+    const isApplied = applied[id] !== undefined;
+    const base = isApplied ? scenarioWith(custom, { extraExpenses: -applied[id] }) : custom;
+    const { desc, value, subtext, warning = null } = strategy.evaluate(base, rules, params, { priorPensionContributions });
+    const canApply = !isApplied && value > 0 && strategy.isEligible(base, rules, params);
+    return {
+      id,
+      title: strategy.title,
+      icon: strategy.icon,
+      desc,
+      value,
+      subtext,
+      params: Object.entries(strategy.params).map(([key, { label, default: defaultValue }]) => ({
+        key, label, value: params[key], default: defaultValue(rules)
+      })),
+      applied: isApplied,
+      canApply,
+      changes: canApply ? strategy.apply(base, rules, params) : null,
+      warning
+    };
+  });
@@ -0,0 +1,119 @@
+import { buildStrategies } from './strategies';
+import { calculateScenario } from './scenario';
+import { getTaxRules } from './taxRules';
+
+describe('buildStrategies', () => {
+  const rules = getTaxRules('2025');
+
+  test('suggests the pension needed to bring profit down to the lower limit', () => {
+    const custom = calculateScenario(100000, 6000, 0, '2025');
+    const pension = buildStrategies(custom, rules).find(s => s.id === 'pension');
+    expect(pension.canApply).toBe(true);
+    expect(pension.changes.pension).toBeCloseTo(custom.profit - 50000 + 6000, 6);
+    expect(pension.value).toBeCloseTo((custom.profit - 50000) * 0.265, 6);
+  });
+
+  test('has nothing to apply once profit is within the small profits rate', () => {
+    const custom = calculateScenario(40000, 0, 0, '2025');
+    const pension = buildStrategies(custom, rules).find(s => s.id === 'pension');
+    expect(pension.canApply).toBe(false);
+    expect(pension.value).toBe(0);
+  });
+});
+
+describe('taper strategy', () => {
+  const rules = getTaxRules('2025');
+
+  test('suggests the pension that brings adjusted net income back to £100k', () => {
+    const custom = calculateScenario(180000, 0, 0, '2025');
+    const taper = buildStrategies(custom, rules).find(s => s.id === 'taper');
+    expect(taper.canApply).toBe(true);
+    const applied = calculateScenario(180000, taper.changes.pension, 0, '2025');
+    expect(applied.adjustedNetIncome).toBeLessThanOrEqual(100000);
+    expect(applied.adjustedNetIncome).toBeGreaterThan(99998);
+    expect(taper.value).toBeGreaterThan(0);
+  });
+
+  test('does not apply below the taper threshold', () => {
+    const custom = calculateScenario(90000, 0, 0, '2025');
+    const taper = buildStrategies(custom, rules).find(s => s.id === 'taper');
+    expect(taper.canApply).toBe(false);
+  });
+});
+
+describe('annual allowance warnings', () => {
+  const rules = getTaxRules('2025');
+
+  test('warns when the pension strategy would exceed the available allowance', () => {
+    const custom = calculateScenario(300000, 0, 0, '2025');
+    const strategies = buildStrategies(custom, rules, { priorPensionContributions: [40000, 60000, 60000] });
+    const pension = strategies.find(s => s.id === 'pension');
+    expect(pension.changes.pension).toBeGreaterThan(60000);
+    expect(pension.warning).toMatch(/annual allowance/);
+  });
+
+  test('stays quiet when carry-forward covers it', () => {
+    const custom = calculateScenario(120000, 0, 0, '2025');
+    const pension = buildStrategies(custom, rules).find(s => s.id === 'pension');
+    expect(pension.warning).toBeNull();
+  });
+});
+
+describe('strategy parameters', () => {
+  const rules = getTaxRules('2025');
+
+  test('moves profit down to a custom target', () => {
+    const custom = calculateScenario(100000, 0, 0, '2025');
+    const pension = buildStrategies(custom, rules, { params: { 'pension.targetProfit': 70000 } }).find(s => s.id === 'pension');
+    expect(pension.params).toEqual([{ key: 'targetProfit', label: 'Target Profit', value: 70000, default: 50000 }]);
+    expect(pension.changes.pension).toBeCloseTo(custom.profit - 70000, 6);
+  });
+
+  test('values a benefit against taking the same money as dividends', () => {
+    // Higher-rate taxpayer in the marginal relief band: £300 of profit leaves £300 x 73.5% x (1 - 33.75%) net
+    const custom = calculateScenario(90000, 0, 0, '2025');
+    const trivial = buildStrategies(custom, rules).find(s => s.id === 'trivial');
+    expect(trivial.value).toBeCloseTo(300 - 300 * 0.735 * (1 - 0.3375), 6);
+    expect(trivial.changes).toEqual({
+      expenses: [{ description: 'Trivial benefits', category: 'other', frequency: 'annual', amount: 300 }]
+    });
+  });
+
+  test('caps trivial benefits at the annual limit', () => {
+    const custom = calculateScenario(90000, 0, 0, '2025');
+    const trivial = buildStrategies(custom, rules, { params: { 'trivial.annualAmount': 1000 } }).find(s => s.id === 'trivial');
+    expect(trivial.changes.expenses[0].amount).toBe(300);
+  });
+
+  test('values an applied strategy without its own ledger lines and does not offer it again', () => {
+    const before = buildStrategies(calculateScenario(90000, 0, 0, '2025'), rules).find(s => s.id === 'trivial');
+    const custom = calculateScenario(90000, 0, 300, '2025');
+    const trivial = buildStrategies(custom, rules, { applied: { trivial: 300 } }).find(s => s.id === 'trivial');
+    expect(trivial).toMatchObject({ applied: true, canApply: false, changes: null });
+    expect(trivial.value).toBeCloseTo(before.value, 6);
+  });
+
+  test('does not offer a strategy that would leave the director worse off', () => {
+    // £500 of formal rent taxed at 40% is worth less than the untaxed £6/wk flat rate it replaces
+    const custom = calculateScenario(90000, 0, 0, '2025');
+    const wfh = buildStrategies(custom, rules, { params: { 'wfh.annualRent': 500 } }).find(s => s.id === 'wfh');
+    expect(wfh.value).toBeLessThan(0);
+    expect(wfh.canApply).toBe(false);
+    expect(wfh.changes).toBeNull();
+  });
+
+  test('taxes benefits at the Scottish rates for Scottish directors', () => {
+    // Adjusted net income falls in the Scottish 42% band, against 40% in the rest of the UK
+    const rUK = buildStrategies(calculateScenario(90000, 0, 0, '2025'), rules).find(s => s.id === 'ev');
+    const scotland = buildStrategies(calculateScenario(90000, 0, 0, '2025', undefined, 'scotland'), rules).find(s => s.id === 'ev');
+    expect(rUK.value - scotland.value).toBeCloseTo(40000 * 0.03 * (0.42 - 0.4), 6);
+  });
+
+  test('has nothing to apply without profit to extract', () => {
+    const custom = calculateScenario(10000, 0, 0, '2025');
+    buildStrategies(custom, rules).forEach(strategy => {
+      expect(strategy.canApply).toBe(false);
+      expect(strategy.changes).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,34 @@
+import { DEFAULT_RESIDENCY, DEFAULT_TAX_YEAR } from './taxRules';
+import { DEFAULT_SALARY, calculateScenario } from './scenario';
+
+/**
+ * Turnover needed to reach a target net income. Net income rises with turnover but not linearly (the
+ * marginal relief band, the allowance taper and the dividend bands all bend it), so this bisects on
+ * `calculateScenario` rather than inverting the rates.
+ * @param {number} targetNet Desired `annualNet` (or `totalValue` with `options.match`).
+ * @param {number} annualPension Employer pension contribution for the year.
+ * @param {number} yearlyExpenses Allowable company expenses for the year.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {number} [options.salary] Annual director salary.
+ * @param {string} [options.residency] Key of `RESIDENCIES`.
+ * @param {string} [options.match] Scenario field to hit, 'annualNet' or 'totalValue'.
+ * @param {object} [options.vat] VAT registration, as the options of `calculateVat`.
+ * @returns {object} The `calculateScenario` result at the solved turnover.
+ */
+export const findTurnoverForNet = (targetNet, annualPension, yearlyExpenses, taxYear = DEFAULT_TAX_YEAR, {
+  salary = DEFAULT_SALARY, residency = DEFAULT_RESIDENCY, match = 'annualNet', vat
+} = {}) => {
+  const scenarioAt = (turnover) =>
+    calculateScenario(turnover, annualPension, yearlyExpenses, taxYear, salary, residency, vat);
+
+  let lo = 0;
+  let hi = Math.max(1000, 2 * (targetNet + annualPension + yearlyExpenses));
+  while (scenarioAt(hi)[match] < targetNet) hi *= 2;
+  while (hi - lo > 0.01) {
+    const mid = (lo + hi) / 2;
+    if (scenarioAt(mid)[match] >= targetNet) hi = mid;
+    else lo = mid;
+  }
+  return scenarioAt(hi);
+};
@@ -0,0 +1,23 @@
+import { findTurnoverForNet } from './targetNet';
+import { calculateScenario } from './scenario';
+
+describe('findTurnoverForNet', () => {
+  test.each([30000, 45000, 60000, 90000])('hits a £%i net target', (target) => {
+    const result = findTurnoverForNet(target, 6000, 2000, '2025');
+    expect(result.annualNet).toBeCloseTo(target, 1);
+    expect(calculateScenario(result.turnover, 6000, 2000, '2025').annualNet).toBeCloseTo(target, 1);
+  });
+
+  test('solves inside the marginal relief band', () => {
+    const result = findTurnoverForNet(70000, 0, 0, '2025');
+    expect(result.profit).toBeGreaterThan(50000);
+    expect(result.profit).toBeLessThan(250000);
+    expect(result.annualNet).toBeCloseTo(70000, 1);
+  });
+
+  test('can match total value including pension', () => {
+    const result = findTurnoverForNet(80000, 20000, 0, '2025', { match: 'totalValue' });
+    expect(result.totalValue).toBeCloseTo(80000, 1);
+    expect(result.annualNet).toBeCloseTo(60000, 1);
+  });
+});
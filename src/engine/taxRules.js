@@ -0,0 +1,95 @@
+// --- TAX YEAR RULES ---
+// One entry per tax year, keyed by the calendar year it starts in. Adding a year means adding data here.
+export const TAX_YEAR_RULES = {
+  '2025': {
+    label: '2025/26',
+    incomeTax: {
+      personalAllowance: 12570,
+      taperThreshold: 100000, // Allowance falls by £1 for every £2 of adjusted net income above this
+      basicRateLimit: 50270,
+      additionalRateThreshold: 125140,
+      rates: { basic: 0.2, higher: 0.4, additional: 0.45 }
+    },
+    dividends: {
+      allowance: 500,
+      rates: { basic: 0.0875, higher: 0.3375, additional: 0.3935 }
+    },
+    // Scottish bands apply to salary only and are expressed as limits on taxable income (after the allowance)
+    scottishIncomeTax: {
+      bands: [
+        { name: 'starter', upTo: 2827, rate: 0.19 },
+        { name: 'basic', upTo: 14921, rate: 0.2 },
+        { name: 'intermediate', upTo: 31092, rate: 0.21 },
+        { name: 'higher', upTo: 62430, rate: 0.42 },
+        { name: 'advanced', upTo: 125140, rate: 0.45 },
+        { name: 'top', upTo: null, rate: 0.48 }
+      ]
+    },
+    employeeNI: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.08, upperRate: 0.02 },
+    employerNI: { secondaryThreshold: 5000, rate: 0.15 },
+    corporationTax: { lowerLimit: 50000, upperLimit: 250000, smallRate: 0.19, mainRate: 0.25, marginalReliefFraction: 3 / 200 },
+    ir35: { apprenticeshipLevyRate: 0.005, deemedPaymentAllowance: 0.05 },
+    pensionAllowance: { annualAllowance: 60000, thresholdIncome: 200000, adjustedIncomeLimit: 260000, minimumAllowance: 10000 },
+    pensionDrawdown: { taxFreeFraction: 0.25, lumpSumAllowance: 268275 },
+    vat: { standardRate: 0.2, registrationThreshold: 90000, flatRateFirstYearDiscount: 0.01 },
+    capitalAllowances: { annualInvestmentAllowance: 1000000, mainPoolRate: 0.18 },
+    mileageAllowance: { rate: 0.45, reducedRate: 0.25, reducedAfterMiles: 10000 },
+    // Director benefits: trivial benefits up to £50 each and £300 a year, £150 a head for an annual event,
+    // £6 a week for working from home, and the electric car benefit in kind as a share of list price
+    benefits: { trivialBenefitLimit: 50, trivialBenefitsCap: 300, annualEventPerHead: 150, homeWorkingWeekly: 6, electricCarRate: 0.03 }
+  },
+  '2026': {
+    label: '2026/27',
+    incomeTax: {
+      personalAllowance: 12570,
+      taperThreshold: 100000, // Allowance falls by £1 for every £2 of adjusted net income above this
+      basicRateLimit: 50270,
+      additionalRateThreshold: 125140,
+      rates: { basic: 0.2, higher: 0.4, additional: 0.45 }
+    },
+    dividends: {
+      allowance: 500,
+      rates: { basic: 0.1075, higher: 0.3575, additional: 0.3935 }
+    },
+    // Scottish bands apply to salary only and are expressed as limits on taxable income (after the allowance)
+    scottishIncomeTax: {
+      bands: [
+        { name: 'starter', upTo: 3967, rate: 0.19 },
+        { name: 'basic', upTo: 16956, rate: 0.2 },
+        { name: 'intermediate', upTo: 31092, rate: 0.21 },
+        { name: 'higher', upTo: 62430, rate: 0.42 },
+        { name: 'advanced', upTo: 125140, rate: 0.45 },
+        { name: 'top', upTo: null, rate: 0.48 }
+      ]
+    },
+    employeeNI: { primaryThreshold: 12570, upperEarningsLimit: 50270, mainRate: 0.08, upperRate: 0.02 },
+    employerNI: { secondaryThreshold: 5000, rate: 0.15 },
+    corporationTax: { lowerLimit: 50000, upperLimit: 250000, smallRate: 0.19, mainRate: 0.25, marginalReliefFraction: 3 / 200 },
+    ir35: { apprenticeshipLevyRate: 0.005, deemedPaymentAllowance: 0.05 },
+    pensionAllowance: { annualAllowance: 60000, thresholdIncome: 200000, adjustedIncomeLimit: 260000, minimumAllowance: 10000 },
+    pensionDrawdown: { taxFreeFraction: 0.25, lumpSumAllowance: 268275 },
+    vat: { standardRate: 0.2, registrationThreshold: 90000, flatRateFirstYearDiscount: 0.01 },
+    capitalAllowances: { annualInvestmentAllowance: 1000000, mainPoolRate: 0.14 },
+    mileageAllowance: { rate: 0.45, reducedRate: 0.25, reducedAfterMiles: 10000 },
+    // Director benefits: trivial benefits up to £50 each and £300 a year, £150 a head for an annual event,
+    // £6 a week for working from home, and the electric car benefit in kind as a share of list price
+    benefits: { trivialBenefitLimit: 50, trivialBenefitsCap: 300, annualEventPerHead: 150, homeWorkingWeekly: 6, electricCarRate: 0.04 }
+  }
+};
+
+export const DEFAULT_TAX_YEAR = '2025';
+
+// Where the director pays income tax. Only salary differs; dividends always use the UK bands.
+export const RESIDENCIES = {
+  ruk: 'England, Wales & NI',
+  scotland: 'Scotland'
+};
+
+export const DEFAULT_RESIDENCY = 'ruk';
+
+/**
+ * Rules for a tax year, falling back to the default year for unknown keys.
+ * @param {string} taxYear Registry key, e.g. '2025' for 2025/26.
+ * @returns {object} The rules object for that year.
+ */
+export const getTaxRules = (taxYear) => TAX_YEAR_RULES[taxYear] || TAX_YEAR_RULES[DEFAULT_TAX_YEAR];
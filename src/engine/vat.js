@@ -0,0 +1,44 @@
+import { DEFAULT_TAX_YEAR, getTaxRules } from './taxRules';
+
+export const VAT_SCHEMES = { none: 'Not Registered', standard: 'Standard', flatRate: 'Flat Rate' };
+
+// Flat Rate Scheme percentages for the sectors contractors usually fall into. A limited cost trader (goods
+// under 2% of VAT-inclusive turnover, or under £1,000 a year) pays 16.5% whatever its sector.
+export const FLAT_RATE_SECTORS = {
+  itConsultancy: { label: 'Computer and IT consultancy', rate: 0.145 },
+  managementConsultancy: { label: 'Management consultancy', rate: 0.14 },
+  engineering: { label: 'Architect, civil and structural engineer or surveyor', rate: 0.145 },
+  accountancy: { label: 'Accountancy or book-keeping', rate: 0.145 },
+  businessServices: { label: 'Business services not listed elsewhere', rate: 0.12 },
+  limitedCostTrader: { label: 'Limited cost trader', rate: 0.165 }
+};
+
+/**
+ * VAT on a year's turnover. Turnover is net of VAT; under the Flat Rate Scheme the company pays a fixed
+ * percentage of its VAT-inclusive turnover and keeps the difference, which is taxable profit. Standard
+ * scheme figures are before reclaiming VAT on purchases.
+ * @param {number} turnover Annual turnover excluding VAT.
+ * @param {string} [taxYear] Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {string} [options.scheme] Key of `VAT_SCHEMES`.
+ * @param {string} [options.sector] Key of `FLAT_RATE_SECTORS`.
+ * @param {boolean} [options.firstYear] Takes the first-year discount off the flat rate.
+ * @returns {{scheme: string, sector: string, firstYear: boolean, flatRate: number, vatCharged: number,
+ *   grossTurnover: number, vatPayable: number, flatRateSurplus: number, mustRegister: boolean}} `flatRate` is
+ *   the percentage actually applied; `mustRegister` flags turnover over the threshold while not registered.
+ */
+export const calculateVat = (turnover, taxYear = DEFAULT_TAX_YEAR, { scheme = 'none', sector = 'itConsultancy', firstYear = false } = {}) => {
+  const { standardRate, registrationThreshold, flatRateFirstYearDiscount } = getTaxRules(taxYear).vat;
+  const registered = scheme !== 'none';
+  const vatCharged = registered ? turnover * standardRate : 0;
+  const grossTurnover = turnover + vatCharged;
+  const flatRate = scheme === 'flatRate'
+    ? Math.max(0, FLAT_RATE_SECTORS[sector].rate - (firstYear ? flatRateFirstYearDiscount : 0))
+    : 0;
+  const vatPayable = scheme === 'flatRate' ? grossTurnover * flatRate : vatCharged;
+  return {
+    scheme, sector, firstYear, flatRate, vatCharged, grossTurnover, vatPayable,
+    flatRateSurplus: vatCharged - vatPayable,
+    mustRegister: !registered && turnover > registrationThreshold
+  };
+};
@@ -0,0 +1,32 @@
+import { calculateVat } from './vat';
+
+describe('calculateVat', () => {
+  test('charges nothing when not registered, and flags turnover over the threshold', () => {
+    expect(calculateVat(80000, '2025')).toMatchObject({ vatCharged: 0, vatPayable: 0, flatRateSurplus: 0, mustRegister: false });
+    expect(calculateVat(95000, '2025').mustRegister).toBe(true);
+  });
+
+  test('passes all VAT charged on under the standard scheme', () => {
+    const result = calculateVat(100000, '2025', { scheme: 'standard' });
+    expect(result).toMatchObject({ vatCharged: 20000, grossTurnover: 120000, vatPayable: 20000, flatRateSurplus: 0 });
+  });
+
+  test('pays the sector flat rate on VAT-inclusive turnover and keeps the surplus', () => {
+    const result = calculateVat(100000, '2025', { scheme: 'flatRate', sector: 'itConsultancy' });
+    expect(result.flatRate).toBeCloseTo(0.145, 10);
+    expect(result.vatPayable).toBeCloseTo(17400, 6);
+    expect(result.flatRateSurplus).toBeCloseTo(2600, 6);
+  });
+
+  test('takes 1% off the flat rate in the first year', () => {
+    const result = calculateVat(100000, '2025', { scheme: 'flatRate', sector: 'itConsultancy', firstYear: true });
+    expect(result.flatRate).toBeCloseTo(0.135, 10);
+    expect(result.flatRateSurplus).toBeCloseTo(3800, 6);
+  });
+
+  test('leaves a limited cost trader almost nothing to keep', () => {
+    const result = calculateVat(100000, '2025', { scheme: 'flatRate', sector: 'limitedCostTrader' });
+    expect(result.vatPayable).toBeCloseTo(19800, 6);
+    expect(result.flatRateSurplus).toBeCloseTo(200, 6);
+  });
+});
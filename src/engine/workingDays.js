@@ -0,0 +1,85 @@
+// --- BANK HOLIDAYS ---
+// Published UK bank holidays (including substitute days) by region. Extend alongside TAX_YEAR_RULES so
+// every tax year in the registry is covered.
+export const BANK_HOLIDAY_REGIONS = {
+  englandWales: 'England & Wales',
+  scotland: 'Scotland',
+  northernIreland: 'Northern Ireland'
+};
+
+// Last date the tables below are complete to (the end of the 2026/27 tax year)
+const BANK_HOLIDAYS_KNOWN_UNTIL = '2027-04-05';
+
+const ENGLAND_WALES = [
+  '2025-01-01', '2025-04-18', '2025-04-21', '2025-05-05', '2025-05-26', '2025-08-25', '2025-12-25', '2025-12-26',
+  '2026-01-01', '2026-04-03', '2026-04-06', '2026-05-04', '2026-05-25', '2026-08-31', '2026-12-25', '2026-12-28',
+  '2027-01-01', '2027-03-26', '2027-03-29'
+];
+
+export const BANK_HOLIDAYS = {
+  englandWales: ENGLAND_WALES,
+  scotland: [
+    '2025-01-01', '2025-01-02', '2025-04-18', '2025-05-05', '2025-05-26', '2025-08-04', '2025-12-01', '2025-12-25', '2025-12-26',
+    '2026-01-01', '2026-01-02', '2026-04-03', '2026-05-04', '2026-05-25', '2026-08-03', '2026-11-30', '2026-12-25', '2026-12-28',
+    '2027-01-01', '2027-01-04', '2027-03-26'
+  ],
+  northernIreland: [...ENGLAND_WALES, '2025-03-17', '2025-07-14', '2026-03-17', '2026-07-13', '2027-03-17'].sort()
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// ISO dates compare correctly as strings; arithmetic is done in UTC so clock changes don't shift days
+const toTime = (iso) => Date.UTC(Number(iso.slice(0, 4)), Number(iso.slice(5, 7)) - 1, Number(iso.slice(8, 10)));
+const toIso = (time) => new Date(time).toISOString().slice(0, 10);
+const isWeekday = (iso) => {
+  const day = new Date(toTime(iso)).getUTCDay();
+  return day !== 0 && day !== 6;
+};
+export const addDays = (iso, days) => toIso(toTime(iso) + days * DAY_MS);
+const isIsoDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && toIso(toTime(value)) === value;
+
+/**
+ * First and last day of a UK tax year (6 April to 5 April).
+ * @param {string} taxYear Calendar year the tax year starts in, e.g. '2025'.
+ * @returns {{start: string, end: string}} ISO dates.
+ */
+export const getTaxYearDates = (taxYear) => ({ start: `${taxYear}-04-06`, end: `${Number(taxYear) + 1}-04-05` });
+
+/**
+ * Billable days in a tax year: weekdays inside the contract, less bank holidays, scaled for a part-week
+ * contract, less booked leave.
+ * @param {string} taxYear Key into the tax year rules registry.
+ * @param {object} [options]
+ * @param {string} [options.region] Key of `BANK_HOLIDAY_REGIONS`.
+ * @param {number} [options.daysPerWeek] Days worked in a normal week, 0-5.
+ * @param {string} [options.contractStart] ISO date; defaults to the start of the tax year.
+ * @param {string} [options.contractEnd] ISO date; defaults to the end of the tax year.
+ * @param {string[]} [options.leaveDates] ISO dates of booked leave. Weekends, bank holidays, duplicates and
+ *   dates outside the contract don't count.
+ * @returns {{start: string, end: string, weekdays: number, bankHolidays: string[], leaveDays: number,
+ *   workingDays: number, hasBankHolidays: boolean}} `start`/`end` are the contract dates within the tax year;
+ *   `hasBankHolidays` is false when the bundled tables don't reach this tax year.
+ */
+export const countWorkingDays = (taxYear, {
+  region = 'englandWales', daysPerWeek = 5, contractStart, contractEnd, leaveDates = []
+} = {}) => {
+  const year = getTaxYearDates(taxYear);
+  const start = isIsoDate(contractStart) && contractStart > year.start ? contractStart : year.start;
+  const end = isIsoDate(contractEnd) && contractEnd < year.end ? contractEnd : year.end;
+  const holidays = BANK_HOLIDAYS[region] || BANK_HOLIDAYS.englandWales;
+  const inContract = (iso) => iso >= start && iso <= end;
+
+  let weekdays = 0;
+  for (let time = toTime(start); time <= toTime(end); time += DAY_MS) {
+    if (isWeekday(toIso(time))) weekdays++;
+  }
+  const bankHolidays = holidays.filter(iso => inContract(iso) && isWeekday(iso));
+  const leaveDays = new Set(leaveDates.filter(iso => isIsoDate(iso) && inContract(iso) && isWeekday(iso) && !holidays.includes(iso))).size;
+
+  const weeklyShare = Math.min(5, Math.max(0, daysPerWeek)) / 5;
+  const workingDays = Math.max(0, Math.round((weekdays - bankHolidays.length) * weeklyShare) - leaveDays);
+  return {
+    start, end, weekdays, bankHolidays, leaveDays, workingDays,
+    hasBankHolidays: year.end <= BANK_HOLIDAYS_KNOWN_UNTIL
+  };
+};
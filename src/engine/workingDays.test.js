@@ -0,0 +1,46 @@
+import { countWorkingDays, getTaxYearDates } from './workingDays';
+
+describe('getTaxYearDates', () => {
+  test('runs from 6 April to 5 April', () => {
+    expect(getTaxYearDates('2025')).toEqual({ start: '2025-04-06', end: '2026-04-05' });
+  });
+});
+
+describe('countWorkingDays', () => {
+  test('takes each region\'s bank holidays off the weekdays in the tax year', () => {
+    // 6 Apr 2025 and 5 Apr 2026 are both Sundays, so the year has exactly 52 weeks of weekdays
+    expect(countWorkingDays('2025', { region: 'englandWales' })).toMatchObject({ weekdays: 260, workingDays: 251 });
+    expect(countWorkingDays('2025', { region: 'scotland' }).workingDays).toBe(250);
+    expect(countWorkingDays('2025', { region: 'northernIreland' }).workingDays).toBe(249);
+    expect(countWorkingDays('2026').workingDays).toBe(252);
+  });
+
+  test('counts substitute days rather than weekend dates', () => {
+    const { bankHolidays } = countWorkingDays('2026', { region: 'englandWales' });
+    expect(bankHolidays).toContain('2026-12-28');
+    expect(bankHolidays).toContain('2026-04-06');
+    expect(bankHolidays).not.toContain('2026-04-03');
+  });
+
+  test('limits the count to the contract dates within the tax year', () => {
+    // Mon 1 Dec to Wed 31 Dec 2025: 23 weekdays less Christmas Day and Boxing Day
+    const result = countWorkingDays('2025', { contractStart: '2025-12-01', contractEnd: '2025-12-31' });
+    expect(result).toMatchObject({ start: '2025-12-01', end: '2025-12-31', weekdays: 23, workingDays: 21 });
+    expect(countWorkingDays('2025', { contractStart: '2024-01-01' }).start).toBe('2025-04-06');
+    expect(countWorkingDays('2025', { contractStart: '2025-12-01', contractEnd: '2025-11-01' }).workingDays).toBe(0);
+  });
+
+  test('scales for part-week contracts', () => {
+    expect(countWorkingDays('2025', { daysPerWeek: 3 }).workingDays).toBe(Math.round(251 * 0.6));
+  });
+
+  test('only counts booked leave on working days inside the contract', () => {
+    const leaveDates = ['2025-06-02', '2025-06-02', '2025-06-07', '2025-12-25', '2027-01-05', 'not a date'];
+    expect(countWorkingDays('2025', { leaveDates })).toMatchObject({ leaveDays: 1, workingDays: 250 });
+  });
+
+  test('reports when the bank holiday tables do not cover the year', () => {
+    expect(countWorkingDays('2026').hasBankHolidays).toBe(true);
+    expect(countWorkingDays('2027').hasBankHolidays).toBe(false);
+  });
+});
@@ -0,0 +1,173 @@
+import {
+  BANK_HOLIDAY_REGIONS, EXPENSE_CATEGORIES, EXPENSE_FREQUENCIES, FLAT_RATE_SECTORS, MAX_SIMULATIONS, RESIDENCIES, STRATEGIES,
+  TAX_YEAR_RULES, VAT_SCHEMES
+} from './engine';
+
+// Types and ranges for the calculator's inputs, used wherever values arrive from outside the app (a shared
+// link, an imported file) so a bad value is dropped instead of reaching the tax engine. Inputs are held as
+// strings, with '' meaning "use the default"; the tables are arrays of rows with a numeric `id`.
+export const INCOME_MODES = ['dayRate', 'annualTurnover', 'targetNet', 'contracts'];
+export const TABS = ['comparison', 'breakdown', 'pension', 'ir35', 'perm', 'optimize'];
+
+const oneOf = (values) => ({ type: 'enum', values });
+const range = (min, max) => ({ type: 'number', min, max });
+const amount = (max) => range(0, max);
+const percent = range(-100, 100);
+const age = range(0, 120);
+const text = { type: 'text', pattern: /^[^<>]{0,80}$/ };
+const date = { type: 'text', pattern: /^(\d{4}-\d{2}-\d{2})?$/ };
+const rows = (fields) => ({ type: 'rows', fields });
+
+export const INPUT_FIELDS = {
+  theme: oneOf(['light', 'dark']),
+  incomeMode: oneOf(INCOME_MODES),
+  taxYear: oneOf(Object.keys(TAX_YEAR_RULES)),
+  residency: oneOf(Object.keys(RESIDENCIES)),
+  activeTab: oneOf(TABS),
+  dailyRate: amount(100000),
+  holidays: amount(260),
+  daysPerWeek: amount(5),
+  contractStart: date,
+  contractEnd: date,
+  bankHolidayRegion: oneOf(['', ...Object.keys(BANK_HOLIDAY_REGIONS)]),
+  leaveDates: { type: 'list', item: date },
+  contracts: rows({
+    client: text, dailyRate: amount(100000), start: date, end: date, daysPerWeek: amount(5), holidays: amount(260)
+  }),
+  monthlyPension: amount(1e6),
+  expenseItems: rows({
+    description: text, category: oneOf(Object.keys(EXPENSE_CATEGORIES)), frequency: oneOf(Object.keys(EXPENSE_FREQUENCIES)),
+    amount: amount(1e8), strategy: oneOf(['', ...Object.keys(STRATEGIES)]) // Blank unless added by an optimisation strategy
+  }),
+  annualTurnover: amount(1e8),
+  annualPension: amount(1e7),
+  salary: amount(1e7),
+  vatScheme: oneOf(Object.keys(VAT_SCHEMES)),
+  flatRateSector: oneOf(Object.keys(FLAT_RATE_SECTORS)),
+  flatRateFirstYear: oneOf(['no', 'yes']),
+  targetMonthlyNet: amount(1e7),
+  targetAnnualNet: amount(1e8),
+  pensionStartBalance: amount(1e9),
+  currentAge: age,
+  pensionGrowth: percent,
+  retirementAge: age,
+  contributionEscalation: percent,
+  platformFee: amount(100),
+  fundFee: amount(100),
+  inflationRate: percent,
+  pensionMilestones: { type: 'text', pattern: /^[\d\s,.]*$/ },
+  withdrawalRate: amount(100),
+  retirementIncome: amount(1e7),
+  projectionMode: oneOf(['fixed', 'simulation']),
+  volatility: amount(100),
+  simulationCount: range(1, MAX_SIMULATIONS),
+  simulationSeed: range(-2147483648, 2147483647),
+  targetPot: amount(1e9),
+  sensitivityMetric: oneOf(['monthlyNet', 'totalValue']),
+  sensitivityFrom: amount(1e8),
+  sensitivityTo: amount(1e8),
+  sensitivityPensionTo: amount(1e6),
+  umbrellaMargin: amount(10000),
+  permPensionRate: amount(100),
+  permBenefits: amount(1e7),
+  permMatch: oneOf(['annualNet', 'totalValue']),
+  permOffer: amount(1e8),
+  priorPensions: { type: 'list', length: 3, item: amount(1e7) },
+  planRows: rows({ turnover: amount(1e8), expenses: amount(1e8), pension: amount(1e7), dividend: amount(1e8) }),
+  strategyParams: { type: 'record', key: /^\w+\.\w+$/, item: amount(1e8) },
+  comparisonScenarios: rows({
+    name: text, pension: amount(1e7), expenses: amount(1e8), salary: amount(1e7), dailyRate: amount(100000), holidays: amount(260)
+  })
+};
+
+/**
+ * Turns the single yearly expenses figure that inputs held before the expenses ledger into one ledger line,
+ * for older profiles, files and links. A zero or blank figure gives an empty ledger; an existing ledger wins.
+ * @param {object} inputs Raw inputs keyed by field name.
+ * @returns {object} The inputs without `yearlyExpenses`.
+ */
+export const upgradeLegacyExpenses = ({ yearlyExpenses, ...inputs }) => {
+  if (yearlyExpenses === undefined || inputs.expenseItems !== undefined) return inputs;
+  const expenseItems = Number(yearlyExpenses) === 0
+    ? []
+    : [{ id: 1, description: 'Annual expenses', category: 'other', frequency: 'annual', amount: yearlyExpenses, strategy: '' }];
+  return { ...inputs, expenseItems };
+};
+
+const checkValue = (field, raw) => {
+  if (field.type === 'list') {
+    if (!Array.isArray(raw) || (field.length !== undefined && raw.length !== field.length)) return undefined;
+    const items = raw.map(item => checkValue(field.item, item));
+    return items.includes(undefined) ? undefined : items;
+  }
+  if (field.type === 'record') {
+    if (raw === null || typeof raw !== 'object' || Array.isArray(raw)) return undefined;
+    const entries = Object.entries(raw).map(([key, item]) => [key, field.key.test(key) ? checkValue(field.item, item) : undefined]);
+    return entries.some(([, v]) => v === undefined) ? undefined : Object.fromEntries(entries);
+  }
+  if (field.type === 'rows') {
+    if (!Array.isArray(raw)) return undefined;
+    const checked = raw.map(row => {
+      if (row === null || typeof row !== 'object' || !Number.isInteger(row.id)) return undefined;
+      const values = Object.entries(field.fields).map(([name, spec]) => [name, checkValue(spec, row[name] ?? '')]);
+      return values.some(([, v]) => v === undefined) ? undefined : { id: row.id, ...Object.fromEntries(values) };
+    });
+    const ids = new Set(checked.map(row => row && row.id));
+    return checked.includes(undefined) || ids.size !== checked.length ? undefined : checked;
+  }
+  if (typeof raw !== 'string' && typeof raw !== 'number') return undefined;
+  const value = String(raw).trim();
+
+  if (field.type === 'enum') return field.values.includes(value) ? value : undefined;
+  if (field.type === 'text') return field.pattern.test(value) ? value : undefined;
+  if (value === '') return '';
+  const number = Number(value);
+  return Number.isFinite(number) && number >= field.min && number <= field.max ? value : undefined;
+};
+
+const preview = (raw) => {
+  const json = JSON.stringify(raw) ?? String(raw);
+  return json.length > 40 ? `${json.slice(0, 37)}...` : json;
+};
+
+// What a field accepts, phrased for an error message
+const describeField = (field) => {
+  switch (field.type) {
+    case 'enum': return `one of ${field.values.join(', ')}`;
+    case 'text': return 'plain text';
+    case 'list': return `a list of ${field.length ?? 'any number of'} values, each ${describeField(field.item)}`;
+    case 'record': return `an object of named values, each ${describeField(field.item)}`;
+    case 'rows': return `a list of rows, each with a unique numeric id and ${Object.keys(field.fields).join(', ')}`;
+    default: return `blank or a number from ${field.min.toLocaleString('en-GB')} to ${field.max.toLocaleString('en-GB')}`;
+  }
+};
+
+/**
+ * Checks one raw input value against its field definition.
+ * @param {string} name Key of `INPUT_FIELDS`.
+ * @param {*} raw Value from a link or file.
+ * @returns {string|Array|undefined} The value as the app stores it, or undefined if the field is unknown or
+ *   the value is invalid or out of range.
+ */
+export const validateField = (name, raw) => {
+  const field = INPUT_FIELDS[name];
+  return field ? checkValue(field, raw) : undefined;
+};
+
+/**
+ * Checks a whole set of inputs, e.g. from an imported file. Fields that are left out keep their defaults.
+ * @param {object} inputs Raw inputs keyed by field name.
+ * @returns {{values: object, errors: string[]}} The valid inputs, and one message per unknown or invalid field.
+ */
+export const validateInputs = (inputs) => {
+  const values = {};
+  const errors = [];
+  Object.entries(inputs).forEach(([name, raw]) => {
+    const field = INPUT_FIELDS[name];
+    const value = field ? checkValue(field, raw) : undefined;
+    if (!field) errors.push(`"${name}" is not a calculator input.`);
+    else if (value === undefined) errors.push(`"${name}" must be ${describeField(field)}; got ${preview(raw)}.`);
+    else values[name] = value;
+  });
+  return { values, errors };
+};
@@ -0,0 +1,35 @@
+import { validateField } from './inputSchema';
+
+describe('validateField', () => {
+  test('accepts in-range numbers and blanks as strings', () => {
+    expect(validateField('dailyRate', ' 650 ')).toBe('650');
+    expect(validateField('dailyRate', 650)).toBe('650');
+    expect(validateField('pensionGrowth', '-3.5')).toBe('-3.5');
+    expect(validateField('dailyRate', '')).toBe('');
+  });
+
+  test('rejects out-of-range, non-numeric and non-string values', () => {
+    expect(validateField('currentAge', '130')).toBeUndefined();
+    expect(validateField('dailyRate', '1e')).toBeUndefined();
+    expect(validateField('dailyRate', 'Infinity')).toBeUndefined();
+    expect(validateField('dailyRate', { value: 1 })).toBeUndefined();
+  });
+
+  test('checks enums against the registries', () => {
+    expect(validateField('taxYear', '2026')).toBe('2026');
+    expect(validateField('taxYear', '2019')).toBeUndefined();
+    expect(validateField('residency', 'scotland')).toBe('scotland');
+    expect(validateField('incomeMode', '')).toBeUndefined();
+  });
+
+  test('checks every key and value of a record', () => {
+    expect(validateField('strategyParams', { 'ev.monthlyLease': 450 })).toEqual({ 'ev.monthlyLease': '450' });
+    expect(validateField('strategyParams', { 'ev.monthlyLease': '-1' })).toBeUndefined();
+    expect(validateField('strategyParams', { '<script>': '1' })).toBeUndefined();
+    expect(validateField('strategyParams', ['1'])).toBeUndefined();
+  });
+
+  test('ignores fields it does not know', () => {
+    expect(validateField('password', 'x')).toBeUndefined();
+  });
+});
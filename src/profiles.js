@@ -0,0 +1,108 @@
+import { upgradeLegacyExpenses, validateInputs } from './inputSchema';
+
+// Named input profiles saved to localStorage. Profile state holds the raw input values from `App`; fields
+// missing from an older profile simply fall back to their defaults when it loads, so adding an input needs
+// no migration. Bump PROFILE_SCHEMA_VERSION and add a step to MIGRATIONS only when an existing field
+// changes meaning or shape.
+export const PROFILE_SCHEMA_VERSION = 2;
+export const STORAGE_KEY = 'contractor-tax-calculator';
+const DEFAULT_PROFILE_NAME = 'My Profile';
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// MIGRATIONS[n] upgrades a stored object from version n to n + 1; profiles were versioned from the start, at 1
+const MIGRATIONS = {
+  // 1 -> 2: the yearly expenses figure became the expenses ledger
+  1: (data) => ({
+    ...data,
+    profiles: Array.isArray(data.profiles)
+      ? data.profiles.map(p => isObject(p) && isObject(p.state) ? { ...p, state: upgradeLegacyExpenses(p.state) } : p)
+      : data.profiles
+  })
+};
+
+export const createProfileStore = () => ({
+  version: PROFILE_SCHEMA_VERSION,
+  activeProfileId: 1,
+  profiles: [{ id: 1, name: DEFAULT_PROFILE_NAME, state: {} }]
+});
+
+/**
+ * Brings stored profile data up to the current schema version. Anything unreadable, unversioned or written by
+ * a newer version than this one gives a fresh store rather than an error. Each profile's inputs are checked the same
+ * way as an imported file, dropping any that are unknown or invalid.
+ * @param {*} data Parsed JSON from storage.
+ * @returns {{version: number, activeProfileId: number, profiles: Array<{id: number, name: string, state: object}>}}
+ */
+export const migrateProfileStore = (data) => {
+  if (!isObject(data) || !Number.isInteger(data.version)) return createProfileStore();
+  let version = data.version;
+  if (version < 1 || version > PROFILE_SCHEMA_VERSION) return createProfileStore();
+
+  let store = data;
+  while (version < PROFILE_SCHEMA_VERSION) {
+    store = MIGRATIONS[version](store);
+    version++;
+  }
+
+  const profiles = Array.isArray(store.profiles)
+    ? store.profiles.filter(p => isObject(p) && Number.isInteger(p.id) && isObject(p.state))
+      .map(p => ({ id: p.id, name: String(p.name ?? DEFAULT_PROFILE_NAME), state: validateInputs(p.state).values }))
+    : [];
+  if (profiles.length === 0) return createProfileStore();
+  const activeProfileId = profiles.some(p => p.id === store.activeProfileId) ? store.activeProfileId : profiles[0].id;
+  return { version: PROFILE_SCHEMA_VERSION, activeProfileId, profiles };
+};
+
+export const loadProfileStore = (storage = window.localStorage) => {
+  try {
+    return migrateProfileStore(JSON.parse(storage.getItem(STORAGE_KEY)));
+  } catch {
+    return createProfileStore();
+  }
+};
+
+export const saveProfileStore = (store, storage = window.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(store));
+  } catch {
+    // Storage can be full or disabled (private browsing); the calculator still works without it
+  }
+};
+
+export const getActiveProfile = (store) => store.profiles.find(p => p.id === store.activeProfileId);
+
+const nextId = (store) => store.profiles.reduce((max, p) => Math.max(max, p.id), 0) + 1;
+
+export const setActiveProfile = (store, id) => ({ ...store, activeProfileId: id });
+
+export const createProfile = (store, name, state = {}) => {
+  const id = nextId(store);
+  return { ...store, activeProfileId: id, profiles: [...store.profiles, { id, name, state }] };
+};
+
+export const duplicateProfile = (store, id) => {
+  const source = store.profiles.find(p => p.id === id);
+  return source ? createProfile(store, `${source.name} (copy)`, source.state) : store;
+};
+
+export const renameProfile = (store, id, name) => ({
+  ...store,
+  profiles: store.profiles.map(p => p.id === id ? { ...p, name } : p)
+});
+
+export const updateProfileState = (store, id, state) => ({
+  ...store,
+  profiles: store.profiles.map(p => p.id === id ? { ...p, state } : p)
+});
+
+// Deleting the last profile leaves a fresh blank one so there is always something to edit
+export const deleteProfile = (store, id) => {
+  const profiles = store.profiles.filter(p => p.id !== id);
+  if (profiles.length === 0) {
+    const fresh = nextId(store);
+    return { ...store, activeProfileId: fresh, profiles: [{ id: fresh, name: DEFAULT_PROFILE_NAME, state: {} }] };
+  }
+  const activeProfileId = store.activeProfileId === id ? profiles[0].id : store.activeProfileId;
+  return { ...store, activeProfileId, profiles };
+};
@@ -0,0 +1,77 @@
+import {
+  PROFILE_SCHEMA_VERSION, STORAGE_KEY, createProfile, createProfileStore, deleteProfile, duplicateProfile,
+  getActiveProfile, loadProfileStore, migrateProfileStore, renameProfile, saveProfileStore, updateProfileState
+} from './profiles';
+
+const memoryStorage = (initial = {}) => {
+  const items = { ...initial };
+  return { getItem: (key) => items[key] ?? null, setItem: (key, value) => { items[key] = value; } };
+};
+
+describe('migrateProfileStore', () => {
+  test('turns the yearly expenses figure of a version 1 profile into a ledger line', () => {
+    const profiles = [{ id: 1, name: 'A', state: { yearlyExpenses: '3000' } }, { id: 2, name: 'B', state: { yearlyExpenses: '0' } }];
+    const store = migrateProfileStore({ version: 1, activeProfileId: 1, profiles });
+    expect(store.profiles.map(p => p.state)).toEqual([
+      { expenseItems: [{ id: 1, description: 'Annual expenses', category: 'other', frequency: 'annual', amount: '3000', strategy: '' }] },
+      { expenseItems: [] }
+    ]);
+  });
+
+  test('keeps current stores and repairs a missing active profile', () => {
+    const data = { version: PROFILE_SCHEMA_VERSION, activeProfileId: 9, profiles: [{ id: 2, name: 'A', state: {} }, { id: 'bad' }] };
+    expect(migrateProfileStore(data)).toEqual({ version: PROFILE_SCHEMA_VERSION, activeProfileId: 2, profiles: [{ id: 2, name: 'A', state: {} }] });
+  });
+
+  test('drops stored inputs that are unknown or invalid', () => {
+    const state = { dailyRate: 650, contracts: 'none', planRows: [{ turnover: '1' }], theme: 'dark', password: 'x' };
+    const store = migrateProfileStore({ version: PROFILE_SCHEMA_VERSION, activeProfileId: 1, profiles: [{ id: 1, name: 'A', state }] });
+    expect(store.profiles[0].state).toEqual({ dailyRate: '650', theme: 'dark' });
+  });
+
+  test('starts fresh from unreadable, unversioned or newer data', () => {
+    expect(migrateProfileStore(null)).toEqual(createProfileStore());
+    expect(migrateProfileStore({ dailyRate: '600' })).toEqual(createProfileStore());
+    expect(migrateProfileStore({ version: PROFILE_SCHEMA_VERSION + 1, profiles: [] })).toEqual(createProfileStore());
+  });
+});
+
+describe('loadProfileStore / saveProfileStore', () => {
+  test('round-trips through storage', () => {
+    const storage = memoryStorage();
+    const store = createProfile(createProfileStore(), 'Contract B', { dailyRate: '750' });
+    saveProfileStore(store, storage);
+    expect(loadProfileStore(storage)).toEqual(store);
+  });
+
+  test('ignores corrupt JSON', () => {
+    expect(loadProfileStore(memoryStorage({ [STORAGE_KEY]: '{oops' }))).toEqual(createProfileStore());
+  });
+});
+
+describe('profile actions', () => {
+  test('creates and duplicates profiles as the new active profile', () => {
+    let store = updateProfileState(createProfileStore(), 1, { dailyRate: '500' });
+    store = duplicateProfile(store, 1);
+    expect(getActiveProfile(store)).toEqual({ id: 2, name: 'My Profile (copy)', state: { dailyRate: '500' } });
+    store = createProfile(store, 'Blank');
+    expect(getActiveProfile(store)).toEqual({ id: 3, name: 'Blank', state: {} });
+  });
+
+  test('renames a profile', () => {
+    expect(renameProfile(createProfileStore(), 1, 'Mine').profiles[0].name).toBe('Mine');
+  });
+
+  test('deleting the active profile activates the first remaining one', () => {
+    const store = createProfile(createProfile(createProfileStore(), 'B'), 'C');
+    const after = deleteProfile(store, 3);
+    expect(after.profiles.map(p => p.id)).toEqual([1, 2]);
+    expect(after.activeProfileId).toBe(1);
+  });
+
+  test('deleting the last profile leaves a fresh one', () => {
+    const after = deleteProfile(updateProfileState(createProfileStore(), 1, { dailyRate: '500' }), 1);
+    expect(after.profiles).toEqual([{ id: 2, name: 'My Profile', state: {} }]);
+    expect(after.activeProfileId).toBe(2);
+  });
+});
@@ -0,0 +1,64 @@
+import { INPUT_FIELDS, upgradeLegacyExpenses, validateField } from './inputSchema';
+
+// Inputs carried in a shared link: the main inputs, the open tab and the pension projection fields.
+// Leave dates, the contracts and the expenses ledger are written as JSON since they change the result; the other
+// tables (scenarios, plan years, prior contributions) stay in the profile to keep links short.
+export const LINK_FIELDS = [
+  'incomeMode', 'taxYear', 'residency', 'activeTab', 'dailyRate', 'holidays', 'daysPerWeek', 'contractStart',
+  'contractEnd', 'bankHolidayRegion', 'leaveDates', 'contracts', 'monthlyPension', 'expenseItems',
+  'annualTurnover', 'annualPension', 'salary', 'vatScheme', 'flatRateSector', 'flatRateFirstYear', 'targetMonthlyNet',
+  'targetAnnualNet',
+  'pensionStartBalance', 'currentAge', 'pensionGrowth', 'retirementAge', 'contributionEscalation', 'platformFee',
+  'fundFee', 'inflationRate', 'pensionMilestones', 'withdrawalRate', 'retirementIncome'
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+// Lists and tables are JSON in the link; anything that doesn't parse is left for validation to reject
+const readParam = (name, raw) => {
+  if (!['list', 'rows'].includes(INPUT_FIELDS[name].type)) return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return undefined;
+  }
+};
+
+/**
+ * Query string for a set of inputs. Blank values and empty tables are left out since they mean "use the default".
+ * @param {object} state Input values keyed by field name.
+ * @returns {string} Query string without the leading '?'.
+ */
+export const encodeLinkState = (state) => {
+  const params = new URLSearchParams();
+  LINK_FIELDS.forEach(name => {
+    const value = state[name];
+    if (!isBlank(value) && validateField(name, value) !== undefined) {
+      params.set(name, Array.isArray(value) ? JSON.stringify(value) : String(value));
+    }
+  });
+  return params.toString();
+};
+
+/**
+ * Reads inputs back out of a query string, dropping anything unknown, invalid or out of range.
+ * @param {string} search `window.location.search`, with or without the leading '?'.
+ * @returns {{state: object, ignored: string[]}} Valid inputs, plus the names of parameters that were dropped.
+ */
+export const decodeLinkState = (search) => {
+  const state = {};
+  const ignored = [];
+  new URLSearchParams(search).forEach((raw, name) => {
+    if (name === 'yearlyExpenses') {
+      // Links from before the expenses ledger carry one yearly figure
+      const value = validateField('expenseItems', upgradeLegacyExpenses({ yearlyExpenses: raw }).expenseItems);
+      if (value === undefined) ignored.push(name);
+      else state.expenseItems = state.expenseItems ?? value;
+      return;
+    }
+    const value = LINK_FIELDS.includes(name) && INPUT_FIELDS[name] ? validateField(name, readParam(name, raw)) : undefined;
+    if (value === undefined) ignored.push(name);
+    else state[name] = value;
+  });
+  return { state, ignored };
+};
@@ -0,0 +1,54 @@
+import { decodeLinkState, encodeLinkState } from './shareLink';
+
+describe('encodeLinkState', () => {
+  test('writes the link fields and skips blanks and table inputs', () => {
+    const query = encodeLinkState({ dailyRate: '600', holidays: '', taxYear: '2026', activeTab: 'pension', planRows: [{ id: 1 }] });
+    expect(query).toBe('taxYear=2026&activeTab=pension&dailyRate=600');
+  });
+
+  test('leaves out values that would not survive decoding', () => {
+    expect(encodeLinkState({ dailyRate: '-5', incomeMode: 'weekly' })).toBe('');
+  });
+});
+
+describe('decodeLinkState', () => {
+  test('round-trips encoded inputs', () => {
+    const state = { incomeMode: 'annualTurnover', annualTurnover: '120000', currentAge: '42', pensionMilestones: '500000, 1000000' };
+    expect(decodeLinkState(`?${encodeLinkState(state)}`)).toEqual({ state, ignored: [] });
+  });
+
+  test('round-trips the leave dates', () => {
+    const state = { leaveDates: ['2025-08-04', '2025-08-05'] };
+    expect(decodeLinkState(`?${encodeLinkState(state)}`)).toEqual({ state, ignored: [] });
+    expect(decodeLinkState('?leaveDates=2025-08-04').ignored).toEqual(['leaveDates']);
+  });
+
+  test('round-trips the contracts', () => {
+    const contracts = [{ id: 1, client: 'Acme', dailyRate: '550', start: '2025-04-06', end: '', daysPerWeek: '', holidays: '10' }];
+    expect(decodeLinkState(`?${encodeLinkState({ incomeMode: 'contracts', contracts })}`))
+      .toEqual({ state: { incomeMode: 'contracts', contracts }, ignored: [] });
+  });
+
+  test('round-trips the expenses ledger and drops one that is not valid JSON', () => {
+    const expenseItems = [
+      { id: 1, description: 'Laptop', category: 'equipment', frequency: 'oneOff', amount: '1800', strategy: '' },
+      { id: 2, description: 'Client visits', category: 'mileage', frequency: 'annual', amount: '4000', strategy: 'ev' }
+    ];
+    expect(encodeLinkState({ expenseItems: [] })).toBe('');
+    expect(decodeLinkState(`?${encodeLinkState({ expenseItems })}`)).toEqual({ state: { expenseItems }, ignored: [] });
+    expect(decodeLinkState('?expenseItems=%5B%7B').ignored).toEqual(['expenseItems']);
+  });
+
+  test('turns the yearly expenses figure of an older link into a ledger line', () => {
+    expect(decodeLinkState('?yearlyExpenses=3000').state).toEqual({
+      expenseItems: [{ id: 1, description: 'Annual expenses', category: 'other', frequency: 'annual', amount: '3000', strategy: '' }]
+    });
+    expect(decodeLinkState('?yearlyExpenses=-1')).toEqual({ state: {}, ignored: ['yearlyExpenses'] });
+  });
+
+  test('drops unknown, invalid and out-of-range values', () => {
+    const { state, ignored } = decodeLinkState('dailyRate=abc&holidays=400&taxYear=1999&pensionGrowth=7&foo=1&activeTab=perm');
+    expect(state).toEqual({ pensionGrowth: '7', activeTab: 'perm' });
+    expect(ignored).toEqual(['dailyRate', 'holidays', 'taxYear', 'foo']);
+  });
+});